@@ -2,14 +2,46 @@
 // Orchestration + refresh loop + state-change routing.
 // ES module
 
-import { applyUrlParamsAndStrip, bindControls, loadState, saveState } from "./state.js";
-import { buildGroupsForWindow, fmtHHMM } from "./planner.js";
+import { applyUrlParamsAndStrip, applyWeekdayProfile, bindControls, loadState, saveState } from "./state.js";
+import { buildGroupsForWindow } from "./planner.js";
+import { fmtHHMM } from "./view.js";
+import {
+    loadRouteStops,
+    filterRouteStops,
+    onPredictionStreamChange,
+    predictionStreamsLive,
+    getPredictionStreamStatus,
+    onPredictionStreamStatusChange,
+    closePredictionStreams,
+    getRequestBudget,
+    onRequestBudgetChange,
+    getCacheStats,
+    clearPersistentMbtaCache,
+    startRecording,
+    stopRecording,
+    startReplay,
+    stopReplay,
+    replaySession,
+    browserContext,
+    withSignal,
+    isAbortError,
+} from "./mbta.js";
+import { importGtfsZip, loadGtfsFeed, gtfsFeedSummary, clearGtfsFeed } from "./gtfs.js";
+import { PRESETS, resolveItinerary } from "./itinerary.js";
 import {
     renderHeader,
+    renderLegend,
     renderAlerts,
     renderTableBody,
+    renderStopResults,
     wireAccordion,
     setUpdatedLine,
+    renderBudgetLine,
+    renderStreamLine,
+    renderCacheStats,
+    renderGtfsStatus,
+    renderOfflineNote,
+    renderReplayNote,
 } from "./ui.js";
 import {
     isElectron,
@@ -20,6 +52,7 @@ import {
     sendTestNotification,
     ensurePermission,
     formatAlertText,
+    formatBestText,
     computeFireAt,
 } from "./notify.js";
 
@@ -34,17 +67,24 @@ const CFG = {
     predWindowMin: 120,
     materialChangeMin: 3,
 
-    redRoute: "Red",
-    busRoute: "75",
-    greenRoutes: ["Green-B", "Green-C", "Green-D", "Green-E"],
+    // Streaming predictions (state.streamPredictions): re-plan shortly after updates,
+    // poll only as a safety net while every stream is live.
+    streamDebounceMs: 2_000,
+    streamPollMs: 300_000,
+    streamAlertsMaxAgeMs: 120_000,
+
+    // Disruption alerts (see applyDisruptions in planner.js)
+    shuttleExtraMin: 10,
+    shuttleHeadwayMin: 10,
+    shuttleRideMin: 20, // only when the leg has no trips to measure a ride from
+    detourExtraMin: 5,
 
-    park: "place-pktrm",
-    harvard: "place-harsq",
-    arlington: "place-armnl",
+    // Routes + stations come from the itinerary (itinerary.js), not from here.
 };
 
 const el = {
     alerts: document.getElementById("alerts"),
+    legend: document.getElementById("legend"),
     loading: document.getElementById("loading"),
     errorBox: document.getElementById("errorBox"),
     tableWrap: document.getElementById("tableWrap"),
@@ -54,6 +94,8 @@ const el = {
     updatedWrap: document.getElementById("updatedWrap"),
     updatedAgo: document.getElementById("updatedAgo"),
     simTime: document.getElementById("simTime"),
+    budgetLine: document.getElementById("budgetLine"),
+    streamLine: document.getElementById("streamLine"),
 
     // Notifications UI bits (exist in HTML; some may be hidden)
     notifyDetails: document.getElementById("notifyDetails"),
@@ -63,6 +105,20 @@ const el = {
     nextNotifyLine: document.getElementById("nextNotifyLine"),
     bgNote: document.getElementById("bgNote"),
     homeHint: document.getElementById("homeHint"),
+    homeStopSearch: document.getElementById("homeStopSearch"),
+    homeStopResults: document.getElementById("homeStopResults"),
+    advanced: document.getElementById("advanced"),
+    cacheStats: document.getElementById("cacheStats"),
+    cacheClear: document.getElementById("cacheClear"),
+    gtfsFile: document.getElementById("gtfsFile"),
+    gtfsStatus: document.getElementById("gtfsStatus"),
+    gtfsRemove: document.getElementById("gtfsRemove"),
+    offlineNote: document.getElementById("offlineNote"),
+    replayNote: document.getElementById("replayNote"),
+    sessionName: document.getElementById("sessionName"),
+    recordSession: document.getElementById("recordSession"),
+    replayFile: document.getElementById("replayFile"),
+    stopReplay: document.getElementById("stopReplay"),
 };
 
 let state = applyUrlParamsAndStrip();
@@ -215,6 +271,8 @@ function startUpdatedTicker() {
             isRefreshing,
             startOverride: state.startOverride,
         });
+        renderBudgetLine(el.budgetLine, getRequestBudget());
+        renderStreamLine(el.streamLine, getPredictionStreamStatus(), !!state.streamPredictions);
     }, 1000);
 }
 
@@ -233,11 +291,14 @@ function renderPlan(plan) {
         state = s;
     }
 
-    renderHeader(el.thead, plan.includeHome);
-    renderAlerts(el.alerts, plan.alerts, plan.alertCounts);
+    renderHeader(el.thead, plan.columns);
+    renderLegend(el.legend, plan.columns);
+    renderAlerts(el.alerts, plan.alerts);
+    renderOfflineNote(el.offlineNote, plan.offline);
+    renderReplayNote(el.replayNote, el.stopReplay, replaySession());
 
     const expandedTripId = (state.selected75TripId || "").trim();
-    renderTableBody(el.tbody, plan.groups, plan.includeHome, expandedTripId);
+    renderTableBody(el.tbody, plan.groups, expandedTripId);
 
     const startInput = controls?.startOverride; // assuming bindControls exposes it
     const startErr = document.getElementById("startOverrideError"); // add this element in HTML
@@ -256,6 +317,19 @@ function renderPlan(plan) {
         }
     }
 
+    const itinInput = controls?.itineraryJson;
+    const itinErr = document.getElementById("itineraryJsonError");
+    if (itinInput) {
+        const invalid = plan.itineraryOk === false;
+        itinInput.classList.toggle("invalid", invalid);
+        if (itinErr) {
+            itinErr.hidden = !invalid;
+            itinErr.textContent = invalid
+                ? "Invalid itinerary. Each leg needs routes and a from station (and a to station, except the last). Using the preset."
+                : "";
+        }
+    }
+
     wireAccordion(
         el.tbody,
         el.tableWrap,
@@ -271,7 +345,6 @@ function renderPlan(plan) {
             renderTableBody(
                 el.tbody,
                 plan.groups,
-                plan.includeHome,
                 (state.selected75TripId || "").trim()
             );
         }
@@ -279,12 +352,11 @@ function renderPlan(plan) {
 
     // --- Example message + dynamic title ---
     const best = plan.groups?.find((g) => g?.rowsCollapsed?.bestRow);
-    const park = best?.meta?.parkBestDate instanceof Date ? best.meta.parkBestDate : null;
+    const park = best?.meta?.anchorBestDate instanceof Date ? best.meta.anchorBestDate : null;
+    const leave = best?.meta?.leaveBestDate instanceof Date ? best.meta.leaveBestDate : null;
 
     const alertText = formatAlertText(plan?.alertCounts);
-    const exampleText = park
-        ? `Park ${fmtHHMM(park)} arrival. ${alertText}`
-        : `Park --:-- arrival. ${alertText}`;
+    const exampleText = `${formatBestText(plan, park, leave)} ${alertText}`;
 
     const exEl = document.getElementById("notifyExampleText");
     if (exEl) exEl.textContent = exampleText;
@@ -293,7 +365,7 @@ function renderPlan(plan) {
     if (titleEl) {
         const info = formatSuppressedReasons({ state, plan, cfg: CFG, includeCountsLine: false });
         if (info.active && park instanceof Date && !isNaN(park)) {
-            const fireAt = computeFireAt(state, park);
+            const fireAt = computeFireAt(state, park, leave);
             titleEl.textContent = `Upcoming ${fmtHHMM(fireAt)} notification`;
         } else {
             titleEl.textContent = "Example notification";
@@ -325,12 +397,12 @@ function scheduleNextRefresh() {
 
     const visible = document.visibilityState === "visible";
 
-    // If visible: always refresh periodically (>=1 minute).
+    // If visible: always refresh periodically (>=1 minute; much less often while streams are live).
     if (visible) {
         refreshTimer = setTimeout(async () => {
             await refresh();
             scheduleNextRefresh();
-        }, CFG.visibleMs);
+        }, state.streamPredictions && predictionStreamsLive() ? CFG.streamPollMs : CFG.visibleMs);
         return;
     }
 
@@ -370,6 +442,7 @@ async function rescheduleNotificationIfNeeded() {
     if (!isElectron() || isMobile()) return;
     if (!state.notifyEnabled) return;
     if (!("Notification" in window)) return;
+    if (replaySession()) return; // replayed plans are history
 
     clearNotifyTrackingIfNotToday(state, saveState, loadState);
 
@@ -396,14 +469,32 @@ async function rescheduleNotificationIfNeeded() {
 /* ---------------- main refresh ---------------- */
 
 let refreshQueued = false;
+let refreshCtrl = null; // aborts the refresh in flight once a newer one supersedes it
+let recordNextAs = ""; // session name for the next refresh's recording
+let streamReplanTimer = null;
+
+// Live prediction updates: one incremental re-plan per burst (schedules/stops come from cache,
+// predictions from the stream store, alerts reused while fresh).
+onRequestBudgetChange((budget) => renderBudgetLine(el.budgetLine, budget));
+onPredictionStreamStatusChange((status) => renderStreamLine(el.streamLine, status, !!state.streamPredictions));
+
+onPredictionStreamChange(() => {
+  clearTimeout(streamReplanTimer);
+  streamReplanTimer = setTimeout(() => refresh({ fromStream: true }), CFG.streamDebounceMs);
+});
 
-async function refresh() {
+// supersede: the running refresh (if any) plans with outdated settings; cancel its requests
+// and start over right away instead of waiting for it.
+async function refresh({ fromStream = false, supersede = false } = {}) {
   if (isRefreshing) {
     refreshQueued = true;
+    if (supersede) refreshCtrl?.abort();
     return;
   }
 
   isRefreshing = true;
+  const ctrl = new AbortController();
+  refreshCtrl = ctrl;
   setUpdatedLine(el.updatedWrap, el.updatedAgo, el.simTime, {
     lastSuccessMs,
     isRefreshing,
@@ -413,8 +504,18 @@ async function refresh() {
   clearError();
   if (!hasRenderedOnce) showMode("loading");
 
+  // A replayed session plans with the settings it was recorded with
+  const replay = replaySession();
+  const planState = replay ? { ...state, ...replay.state } : state;
+  const recordAs = recordNextAs;
+  recordNextAs = "";
+  if (recordAs) startRecording(recordAs);
+  let plan = null;
+
   try {
-    const plan = await buildGroupsForWindow(state, CFG);
+    const cfg = fromStream ? { ...CFG, alertsMaxAgeMs: CFG.streamAlertsMaxAgeMs } : CFG;
+    plan = await buildGroupsForWindow(planState, cfg, withSignal(browserContext, ctrl.signal));
+    ctrl.signal.throwIfAborted();
 
     const sel = (state.selected75TripId || "").trim();
     if (sel && !plan.groups.some(g => g.tripId === sel)) {
@@ -434,10 +535,16 @@ async function refresh() {
       startOverride: state.startOverride,
     });
 
+    updateCacheStats();
     await rescheduleNotificationIfNeeded();
   } catch (err) {
+    if (ctrl.signal.aborted && isAbortError(err)) {
+      // superseded: the queued refresh below replaces it (and records, if this one was going to)
+      if (recordAs) recordNextAs = recordAs;
+      return;
+    }
     const msg =
-      String(err?.message || "").includes("429")
+      err?.status === 429
         ? "Rate limited by MBTA (429). Retrying automatically…"
         : String(err?.message || "").includes("Failed to fetch")
           ? "Network error reaching MBTA. Retrying automatically…"
@@ -448,6 +555,12 @@ async function refresh() {
     setNextNotifyLine("");
   } finally {
     isRefreshing = false;
+    refreshCtrl = null;
+
+    if (recordAs) {
+      const session = stopRecording({ now: plan?.start, state: planState });
+      if (session && !ctrl.signal.aborted) downloadJson(`${recordAs}.json`, session);
+    }
 
     setUpdatedLine(el.updatedWrap, el.updatedAgo, el.simTime, {
       lastSuccessMs,
@@ -473,14 +586,21 @@ function onStateChange(next) {
     syncNotifyUiAvailability();
 
     // Decide whether data refresh is needed
-    const dataKeys = ["layoverMin", "apiKey", "homeStop", "startOverride"];
-    const needsDataRefresh = dataKeys.some((k) => String(prev[k] ?? "") !== String(state[k] ?? ""));
+    const dataKeys = [
+        "layoverMin", "apiKey", "homeStop", "startOverride",
+        "itineraryPreset", "itineraryJson", "direction", "arriveBy", "busRoutes",
+        "transferTimes", "originWalk", "riskModel", "minReliability", "crowdWaitMin", "streamPredictions",
+    ];
+    const keyVal = (v) => (v && typeof v === "object" ? JSON.stringify(v) : String(v ?? ""));
+    const needsDataRefresh = dataKeys.some((k) => keyVal(prev[k]) !== keyVal(state[k]));
 
     const notifyKeys = ["notifyMode", "notifyLeadMin", "commuteStart", "electronReleaseUrl"];
     const notifyChanged = notifyKeys.some((k) => String(prev[k] ?? "") !== String(state[k] ?? ""));
 
+    if (prev.streamPredictions && !state.streamPredictions) closePredictionStreams();
+
     if (needsDataRefresh) {
-        refresh();
+        refresh({ supersede: true });
     } else if (notifyChanged) {
         scheduleNextRefresh();
 
@@ -494,12 +614,156 @@ function onStateChange(next) {
 
 }
 
+/* ---------------- home stop search ---------------- */
+
+// Routes of the leg that ends at home (the last leg of the evening trip)
+function homeLegRoutes() {
+    const legs = resolveItinerary({ ...state, direction: "homebound" }).legs;
+    return legs[legs.length - 1].routes;
+}
+
+function wireHomeStopSearch() {
+    const input = el.homeStopSearch;
+    const list = el.homeStopResults;
+    if (!input || !list) return;
+
+    let timer = null;
+    let seq = 0;
+
+    const search = async () => {
+        const mySeq = ++seq;
+        let stops = [];
+        try {
+            stops = filterRouteStops(await loadRouteStops(state, homeLegRoutes()), input.value);
+        } catch (e) {
+            console.warn("Stop search failed", e);
+        }
+        if (mySeq !== seq) return; // a newer keystroke won
+        renderStopResults(list, stops, (state.homeStop || "").trim());
+    };
+
+    input.addEventListener("input", () => {
+        clearTimeout(timer);
+        timer = setTimeout(search, 200);
+    });
+
+    list.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-stop-id]");
+        if (!btn) return;
+        const id = btn.dataset.stopId;
+
+        input.value = btn.querySelector("span")?.textContent || id;
+        if (controls?.homeStop) controls.homeStop.value = id;
+        renderStopResults(list, []);
+
+        onStateChange(saveState({ homeStop: id }));
+    });
+}
+
+/* ---------------- cache stats ---------------- */
+
+function updateCacheStats() {
+    if (el.advanced?.open) renderCacheStats(el.cacheStats, getCacheStats());
+}
+
+function wireCacheStats() {
+    el.advanced?.addEventListener("toggle", updateCacheStats);
+    el.cacheClear?.addEventListener("click", async () => {
+        await clearPersistentMbtaCache();
+        updateCacheStats();
+    });
+}
+
+/* ---------------- offline GTFS feed ---------------- */
+
+// Every route any preset or the current settings could plan (the feed keeps only these)
+function gtfsImportRoutes() {
+    const routes = new Set();
+    for (const id of [...Object.keys(PRESETS), null]) {
+        const s = id ? { ...state, itineraryPreset: id, itineraryJson: "" } : state;
+        for (const l of resolveItinerary(s).legs) l.routes.forEach((r) => routes.add(r));
+    }
+    return [...routes];
+}
+
+function wireGtfsImport() {
+    loadGtfsFeed().then((feed) => renderGtfsStatus(el.gtfsStatus, el.gtfsRemove, gtfsFeedSummary(feed)));
+
+    el.gtfsFile?.addEventListener("change", async () => {
+        const file = el.gtfsFile.files?.[0];
+        if (!file) return;
+        el.gtfsFile.disabled = true;
+        try {
+            const feed = await importGtfsZip(file, {
+                routes: gtfsImportRoutes(),
+                onProgress: ({ file: name, rows }) =>
+                    renderGtfsStatus(el.gtfsStatus, el.gtfsRemove, null, `Importing ${name}: ${rows.toLocaleString()} rows…`),
+            });
+            renderGtfsStatus(el.gtfsStatus, el.gtfsRemove, feed);
+        } catch (e) {
+            console.warn("GTFS import failed", e);
+            const feed = gtfsFeedSummary(await loadGtfsFeed());
+            renderGtfsStatus(el.gtfsStatus, el.gtfsRemove, feed, `Import failed: ${e?.message || e}`);
+        } finally {
+            el.gtfsFile.disabled = false;
+            el.gtfsFile.value = "";
+        }
+    });
+
+    el.gtfsRemove?.addEventListener("click", async () => {
+        await clearGtfsFeed();
+        renderGtfsStatus(el.gtfsStatus, el.gtfsRemove, null);
+    });
+}
+
+/* ---------------- record / replay ---------------- */
+
+function downloadJson(filename, obj) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(obj)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function wireRecordReplay() {
+    el.recordSession?.addEventListener("click", () => {
+        const name = (el.sessionName?.value || "").trim().replace(/[^\w.-]+/g, "-") || `session-${fmtHHMM(new Date()).replace(":", "")}`;
+        recordNextAs = name;
+        refresh();
+    });
+
+    el.replayFile?.addEventListener("change", async () => {
+        const file = el.replayFile.files?.[0];
+        if (!file) return;
+        try {
+            startReplay(JSON.parse(await file.text()));
+            refresh({ supersede: true });
+        } catch (e) {
+            showError("Could not load that session file.", e);
+        } finally {
+            el.replayFile.value = "";
+        }
+    });
+
+    el.stopReplay?.addEventListener("click", () => {
+        stopReplay();
+        renderReplayNote(el.replayNote, el.stopReplay, null);
+        refresh({ supersede: true });
+    });
+}
+
 /* ---------------- init ---------------- */
 
 function init() {
-    // source of truth: localStorage
-    state = loadState();
+    // source of truth: localStorage (today's default profile applied once per day)
+    state = applyWeekdayProfile();
     controls = bindControls(state, onStateChange);
+    wireHomeStopSearch();
+    wireCacheStats();
+    wireGtfsImport();
+    wireRecordReplay();
 
     syncNotifyUiAvailability();
 
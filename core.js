@@ -0,0 +1,409 @@
+// core.js
+// Planning core: chains already-loaded trips into connections, with raw Dates. No DOM, no
+// network, no clock: everything comes in through planCommute's input, so the same plan can
+// be built in the browser, in Node (CLI, tests) or from a recorded session.
+// The plan it returns is what plan.schema.json describes (Dates become ISO strings in JSON);
+// view.js turns it into table rows.
+// ES module
+
+import { transferMinFor } from "./itinerary.js";
+import { connectionProbability } from "./risk.js";
+
+// Bump when plan.schema.json changes incompatibly
+export const PLAN_VERSION = 1;
+
+// Group key/trip id for rows whose chain has no group-leg trip
+export const NO_TRIP = "__NONE__";
+
+/* ---------------- Alert periods ---------------- */
+
+// No active_period means "in effect until further notice"
+export function alertActiveAt(alert, t) {
+    return !alert.periods.length || alert.periods.some((p) => p.start <= t && (!p.end || t <= p.end));
+}
+
+export function alertActiveDuring(alert, start, end) {
+    return !alert.periods.length || alert.periods.some((p) => p.start <= end && (!p.end || p.end >= start));
+}
+
+/* ---------------- Chaining ---------------- */
+
+// upperBound by pairs[].toT (arrival at the next leg's board station)
+function upperBoundByToT(arr, cutoffToT) {
+    let lo = 0,
+        hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (arr[mid].toT <= cutoffToT) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// lowerBound by pairs[].fromT (departure from the board station)
+function lowerBoundByFromT(arr, ready) {
+    let lo = 0,
+        hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (arr[mid].fromT < ready) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Forward pick: among trips we can still board after arriving at `arrived` (plus the
+// trip's own transfer time), the one reaching the alight stop first (several routes can
+// share a leg, so the first to leave isn't always first to arrive).
+// Legs without an alight stop fall back to the first departure.
+function firstArrivalFrom(arr, arrived, transferMs = () => 0) {
+    let best = null;
+    for (let i = lowerBoundByFromT(arr, arrived); i < arr.length; i++) {
+        const p = arr[i];
+        if (best && p.fromT >= best.toT) break; // leaves after best already arrived
+        if (p.fromT - arrived < transferMs(p)) continue;
+        if (!best) { best = p; if (!p.toT) break; continue; }
+        if (p.toT && p.toT < best.toT) best = p;
+    }
+    return best;
+}
+
+// Backward pick: among trips arriving early enough (before `departs` minus the trip's
+// transfer time), the one departing last. arr is sorted by toT; scans back from `departs`.
+function lastDepartureBy(arr, departs, transferMs = () => 0) {
+    const hi = upperBoundByToT(arr, departs);
+    let best = null;
+    for (let i = hi - 1; i >= 0; i--) {
+        const p = arr[i];
+        if (best && p.toT <= best.fromT) break; // arrived before best even left
+        if (departs - p.toT < transferMs(p)) continue;
+        if (!best || p.fromT > best.fromT) best = p;
+    }
+    return best;
+}
+
+/* ---------------- Best groups ---------------- */
+
+// Latest connection in a group at least minProb likely to make all its transfers (-1 if none)
+function latestReliableIdx(g, minProb) {
+    for (let i = g.connections.length - 1; i >= 0; i--) {
+        if ((g.connections[i].prob ?? 1) >= minProb) return i;
+    }
+    return -1;
+}
+
+// Best group = has at least one viable connection, but never mark the last such group "best".
+// Reliable beats feasible: a group's best connection is its latest with prob >= minProb, and
+// groups without one only count when no group has one. g.bestIdx = the connection to highlight.
+// crowdWaitMin > 0: see preferLessCrowded.
+export function markBestGroups(groupsOrdered, minProb = 0, { crowdWaitMin = 0 } = {}) {
+    const usable = groupsOrdered.filter(
+        (g) => g.tripId !== NO_TRIP && (g.connections?.length || 0) > 0
+    );
+    const lastKey = usable.length ? usable[usable.length - 1].key : null;
+    const anyReliable = usable.some((g) => g.key !== lastKey && latestReliableIdx(g, minProb) >= 0);
+
+    for (const g of groupsOrdered) {
+        const feasible = g.tripId !== NO_TRIP && g.connections.length > 0 && g.key !== lastKey;
+        const ri = feasible ? latestReliableIdx(g, minProb) : -1;
+        g.best = feasible && (ri >= 0 || !anyReliable);
+        g.bestIdx = ri >= 0 ? ri : g.connections.length - 1;
+    }
+    if (crowdWaitMin > 0) preferLessCrowded(groupsOrdered, crowdWaitMin);
+    return groupsOrdered;
+}
+
+// A best connection boarding a crowded anchor trip (c.crowd, see OCCUPANCY_LEVELS in mbta.js)
+// hands "best" to the next best group when that group has a less crowded connection leaving at
+// most waitMin later, at least as likely to connect as the crowded one. It becomes the next
+// group's best connection.
+function preferLessCrowded(groupsOrdered, waitMin) {
+    const best = groupsOrdered.filter((g) => g.best);
+    for (const [i, g] of best.entries()) {
+        const row = g.connections[g.bestIdx];
+        const next = best[i + 1];
+        if (!row || !next || !(row.crowd >= 2)) continue;
+
+        const latest = row.anchorT.getTime() + waitMin * 60_000;
+        const prob = row.prob ?? 1;
+        const idx = next.connections.findIndex((c) =>
+            c.anchorT > row.anchorT && c.anchorT <= latest &&
+            c.crowd != null && c.crowd < row.crowd && (c.prob ?? 1) >= prob
+        );
+        if (idx < 0) continue;
+
+        g.best = false;
+        next.bestIdx = idx;
+    }
+}
+
+// Outbound: one best group = the latest departure whose first connection still arrives by
+// `arriveBy`. Without a target time every group with a complete connection counts as best.
+// Connections at least minProb likely to work out win over ones that merely fit.
+export function markBestGroupsArriveBy(groupsOrdered, arriveBy, minProb = 0) {
+    const reaches = (g) => {
+        if (g.tripId === NO_TRIP || !g.connections?.length) return false;
+        const arr = g.connections[0].finalArr;
+        return arr instanceof Date && (!arriveBy || arr <= arriveBy);
+    };
+    const reliable = (g) => reaches(g) && (g.connections[0].prob ?? 1) >= minProb;
+    const ok = groupsOrdered.some(reliable) ? reliable : reaches;
+
+    let bestKey = null;
+    if (arriveBy) {
+        for (const g of groupsOrdered) if (ok(g)) bestKey = g.key;
+    }
+
+    for (const g of groupsOrdered) {
+        g.best = arriveBy ? g.key === bestKey : ok(g);
+        g.bestIdx = 0;
+    }
+    return groupsOrdered;
+}
+
+/* ---------------- Plan ---------------- */
+
+// A merged pair as the plan carries it (see Ride in plan.schema.json). vehicles: tripId ->
+// { position, crowding } for trips with a live vehicle.
+function rideOf(p, vehicles) {
+    if (!p) return null;
+    const v = vehicles.get(p.tripId);
+    return {
+        tripId: p.tripId,
+        route: p.route || null,
+        fromT: p.fromT,
+        toT: p.toT || null,
+        fromPred: !!p.fromPred,
+        toPred: !!p.toPred,
+        schedFromT: p.schedFromT || null,
+        schedToT: p.schedToT || null,
+        toEst: !!p.toEst,
+        shortTurn: !!p.shortTurn,
+        cancelled: p.cancelled || null,
+        disrupted: p.disrupted || null,
+        vehicle: v?.position || null,
+        crowding: v?.crowding || null,
+    };
+}
+
+// When to set off for a ride boarded at the trip's first stop: the walk there (shortest
+// entrance) before its departure. walks: itinerary.originWalk. null without walks or a ride.
+function leaveFor(ride, walks) {
+    if (!ride || ride.cancelled || !walks.length) return null;
+    const { entrance, min } = walks[0];
+    const before = (t) => (t ? new Date(t.getTime() - min * 60_000) : null);
+    return { t: before(ride.fromT), schedT: before(ride.schedFromT), pred: ride.fromPred, walkMin: min, entrance };
+}
+
+// Trip ids a plan shows (group trips and every ride of every connection)
+export function planTripIds(plan) {
+    return [...new Set(plan.groups.flatMap((g) => [
+        g.trip?.tripId,
+        ...g.connections.flatMap((c) => c.rides.map((r) => r?.tripId)),
+    ]).filter(Boolean))];
+}
+
+// input:
+//   itinerary     resolveItinerary() result
+//   start, end    the window (Dates)
+//   legPairs      per leg, merged trips (planner.js mergePairsPartial → applyDisruptions):
+//                 { tripId, route, fromT, toT, fromPred, toPred, schedFromT, schedToT, ... }
+//   alerts        { alerts, counts, disruptions } (loadRelevantAlertsWithCounts)
+//   vehicles      Map tripId -> { position, crowding } (optional)
+//   model         risk model (risk.js riskModel)
+//   minProb       reliable-connection threshold
+//   crowdWaitMin  see preferLessCrowded
+//   arriveBy      outbound target arrival (Date) or null
+export function planCommute({
+    itinerary,
+    start,
+    end,
+    legPairs,
+    alerts = null,
+    vehicles = new Map(),
+    model,
+    minProb = 0,
+    crowdWaitMin = 0,
+    arriveBy = null,
+}) {
+    const legs = itinerary.legs;
+    const last = legs[legs.length - 1];
+    const includeHome = Boolean(last.to);
+    const walks = itinerary.originWalk || [];
+    const alertInfo = alerts || {
+        alerts: [],
+        counts: legs.map((l) => ({ leg: l.id, label: l.label, count: 0 })),
+        disruptions: [],
+    };
+
+    // Group leg: the bus end of the trip (last leg homebound, first leg outbound).
+    // Anchor leg: its neighbour; each anchor trip in the window becomes a connection. Legs
+    // before the anchor chain backward (last feasible trip), legs after it chain forward
+    // (first feasible).
+    const outbound = itinerary.direction === "outbound" && legs.length > 1;
+    const groupIdx = outbound ? 0 : legs.length - 1;
+    const anchorIdx = legs.length > 1 ? (outbound ? 1 : legs.length - 2) : -1;
+
+    // Short-turn and cancelled trips never connect, but their groups still show (flagged).
+    // Cancelled ones are chained on the side (goneBy*) only to tell which rows lost a train.
+    const live = legPairs.map((ps) => ps.filter((p) => !p.cancelled));
+    const byFromT = live.map((ps) => ps.filter((p) => !p.shortTurn).sort((a, b) => a.fromT - b.fromT));
+    const byToT = live.map((ps) => ps.filter((p) => p.toT).sort((a, b) => a.toT - b.toT));
+    const gone = legPairs.map((ps) => ps.filter((p) => p.cancelled && p.toT));
+    const goneByFromT = gone.map((ps) => [...ps].sort((a, b) => a.fromT - b.fromT));
+    const goneByToT = gone.map((ps) => [...ps].sort((a, b) => a.toT - b.toT));
+    // Outbound rows start from home: a bus that already left can't be the one to catch.
+    if (outbound) byToT[groupIdx] = byToT[groupIdx].filter((p) => p.fromT >= start);
+    const groupPairs = [...legPairs[groupIdx]].sort((a, b) => a.fromT - b.fromT);
+    const anchorPairs = anchorIdx >= 0
+        ? byFromT[anchorIdx].filter((p) => p.fromT >= start && p.fromT <= end)
+        : [];
+
+    const groupKey = (p) => `${p.fromT.toISOString()}|${p.tripId}`;
+    const groupLookup = new Map();
+    for (const p of groupPairs) groupLookup.set(groupKey(p), p);
+
+    // Walking time for the transfer onto leg j (station table, optionally per route pair)
+    const transferMin = (j, fromPick, toPick) =>
+        transferMinFor(itinerary.transferTimes, legs[j].from, fromPick?.route || "*", toPick?.route || "*", legs[j].transferMin);
+
+    const assigned = [];
+    for (const ap of anchorPairs) {
+        const picks = new Array(legs.length).fill(null);
+        picks[anchorIdx] = ap;
+        const lost = []; // cancelled trips that would have beaten a pick: [{ leg, p }]
+
+        // Backward: on each earlier leg, the latest departure still arriving a transfer's
+        // walk before the next leg departs.
+        for (let j = anchorIdx - 1; j >= 0; j--) {
+            const next = picks[j + 1];
+            const walk = (c) => transferMin(j + 1, c, next) * 60_000;
+            const p = lastDepartureBy(byToT[j], next.fromT, walk);
+            const c = lastDepartureBy(goneByToT[j], next.fromT, walk);
+            if (c && (!p || c.fromT > p.fromT)) lost.push({ leg: j, p: c });
+            if (!p) break;
+            picks[j] = p;
+        }
+
+        // Forward: on each later leg, the earliest arrival among trips departing at least
+        // a transfer's walk after arriving.
+        for (let j = anchorIdx + 1; j < legs.length; j++) {
+            const prev = picks[j - 1];
+            if (!prev.toT) break;
+            const walk = (c) => transferMin(j, prev, c) * 60_000;
+            const p = firstArrivalFrom(byFromT[j], prev.toT, walk);
+            const c = firstArrivalFrom(goneByFromT[j], prev.toT, walk);
+            if (c && (!p || !p.toT || c.toT < p.toT)) lost.push({ leg: j, p: c });
+            if (!p) break;
+            picks[j] = p;
+        }
+
+        // Per transfer: required walk, the minutes to spare beyond it, and the chance of making it
+        const transfers = picks.map((p, j) => {
+            const prev = picks[j - 1];
+            if (!p || !prev?.toT) return null;
+            const min = transferMin(j, prev, p);
+            const prob = connectionProbability(
+                { t: prev.toT, pred: prev.toPred, sched: prev.schedToT },
+                { t: p.fromT, pred: p.fromPred, sched: p.schedFromT },
+                min,
+                start,
+                model,
+            );
+            return { min, slackMin: Math.floor((p.fromT - prev.toT) / 60000) - min, prob };
+        });
+
+        const g = picks[groupIdx];
+        const waitMin = !g ? null
+            : outbound ? Math.floor((ap.fromT - g.toT) / 60000)
+                : Math.floor((g.fromT - ap.toT) / 60000);
+
+        const rides = picks.map((p) => rideOf(p, vehicles));
+        assigned.push({
+            gkey: g ? groupKey(g) : `NONE|${NO_TRIP}`,
+            connection: {
+                anchorT: ap.fromT,
+                rides,
+                // Set off for the first leg (null if the chain broke before it)
+                leave: leaveFor(rides[0], walks),
+                waitMin,
+                transfers,
+                // Chance of making every transfer
+                prob: transfers.reduce((acc, x) => acc * (x ? x.prob : 1), 1),
+                // Where it ends up: last leg's arrival (null if the chain broke or no alight stop)
+                finalArr: picks[legs.length - 1]?.toT || null,
+                crowd: vehicles.get(ap.tripId)?.crowding?.level ?? null,
+                lost: [],
+            },
+            lost,
+        });
+    }
+
+    // A cancelled anchor trip shows on the next anchor's connection (the train to take instead)
+    for (const c of anchorIdx >= 0 ? gone[anchorIdx] : []) {
+        if (c.fromT < start || c.fromT > end) continue;
+        assigned.find((a) => a.connection.anchorT > c.fromT)?.lost.push({ leg: anchorIdx, p: c });
+    }
+    for (const a of assigned) a.connection.lost = a.lost.map(({ leg, p }) => ({ leg, ride: rideOf(p, vehicles) }));
+
+    // Group by group-leg trip key
+    const groupsMap = new Map();
+    const groupFor = (key) => {
+        if (!groupsMap.has(key)) groupsMap.set(key, { key, connections: [] });
+        return groupsMap.get(key);
+    };
+    for (const a of assigned) groupFor(a.gkey).connections.push(a.connection);
+
+    // Keep groups visible even if no viable connections remain
+    for (const p of groupPairs) {
+        const depInWindow = p.fromT >= start && p.fromT <= end;
+        const homeInWindow = !outbound && includeHome && p.toT && p.toT >= start && p.toT <= end;
+        if (depInWindow || homeInWindow) groupFor(groupKey(p));
+    }
+
+    const groups = [...groupsMap.values()].map((g) => {
+        const p = groupLookup.get(g.key) || null;
+        const trip = rideOf(p, vehicles);
+        return {
+            key: g.key,
+            tripId: trip ? trip.tripId : NO_TRIP,
+            trip,
+            // Minutes needed between the group trip and its anchor-leg neighbour
+            transferMin: trip && anchorIdx >= 0 ? transferMin(Math.max(groupIdx, anchorIdx), null, p) : null,
+            // Set off for the group trip, when it's the first leg (outbound, single-leg trips)
+            leave: groupIdx === 0 ? leaveFor(trip, walks) : null,
+            best: false,
+            bestIdx: null,
+            connections: g.connections.sort((x, y) => x.anchorT - y.anchorT),
+        };
+    }).sort((a, b) => {
+        if (!a.trip && !b.trip) return 0;
+        if (!a.trip) return 1;
+        if (!b.trip) return -1;
+        return a.trip.fromT - b.trip.fromT;
+    });
+
+    if (outbound) markBestGroupsArriveBy(groups, arriveBy, minProb);
+    else markBestGroups(groups, minProb, { crowdWaitMin });
+    for (const g of groups) if (!g.connections.length) g.bestIdx = null;
+
+    return {
+        version: PLAN_VERSION,
+        start,
+        end,
+        itinerary: { id: itinerary.id, name: itinerary.name, direction: itinerary.direction, legs },
+        itineraryOk: itinerary.ok,
+        originWalk: walks,
+        groupLeg: groupIdx,
+        anchorLeg: anchorIdx,
+        includeHome,
+        arriveBy,
+        minProb,
+        groups,
+        groupsAvailable: anchorIdx >= 0 ? anchorPairs.length > 0 : groupPairs.length > 0,
+        // Alert models (mbta.js) active in the window, most severe first
+        alerts: alertInfo.alerts,
+        alertCounts: alertInfo.counts,
+        disruptions: alertInfo.disruptions.map(({ id, header, effect, legs, periods }) => ({ id, header, effect, legs, periods })),
+    };
+}
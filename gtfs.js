@@ -0,0 +1,360 @@
+// gtfs.js
+// Offline schedules: import an MBTA GTFS static zip (stops, trips, stop_times, calendar,
+// calendar_dates) into IndexedDB and read it back for the schedule provider in mbta.js.
+// Only trips of the routes asked for at import time are kept.
+// ES module
+
+const GTFS_DB = "mbta-gtfs";
+const FEED_STORE = "feed"; // { id: "feed", ...feed }
+const STOP_TIMES_STORE = "stopTimes"; // { stop, rows: [[tripId, arrSec|null, depSec|null, seq]] }
+
+// Stand-ins when IndexedDB isn't available (the feed then lasts for the session only)
+let memFeed = null;
+const memStopTimes = new Map();
+
+let feedP = null; // cached loadGtfsFeed()
+const stopTimesCache = new Map(); // stop -> rows
+
+/* ---------------- IndexedDB ---------------- */
+
+function idbDone(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// One connection for the page, opened on first use (null where IndexedDB can't be opened)
+let dbP = null;
+
+function openDb() {
+    dbP ||= (async () => {
+        if (typeof indexedDB === "undefined") return null;
+        try {
+            const req = indexedDB.open(GTFS_DB, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(FEED_STORE, { keyPath: "id" });
+                req.result.createObjectStore(STOP_TIMES_STORE, { keyPath: "stop" });
+            };
+            return await idbDone(req);
+        } catch {
+            return null;
+        }
+    })();
+    return dbP;
+}
+
+function txDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/* ---------------- Zip + CSV ---------------- */
+
+// Central directory of a zip: Map<basename, { method, compSize, offset }>
+async function zipEntries(blob) {
+    const tailLen = Math.min(blob.size, 65_557);
+    const tail = new DataView(await blob.slice(blob.size - tailLen).arrayBuffer());
+
+    let eocd = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error("Not a zip file");
+
+    const cdSize = tail.getUint32(eocd + 12, true);
+    const cdOffset = tail.getUint32(eocd + 16, true);
+    if (cdOffset === 0xffffffff) throw new Error("Zip64 archives are not supported");
+
+    const cd = new DataView(await blob.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
+    const names = new TextDecoder();
+    const out = new Map();
+    for (let p = 0; p + 46 <= cd.byteLength && cd.getUint32(p, true) === 0x02014b50;) {
+        const nameLen = cd.getUint16(p + 28, true);
+        const extraLen = cd.getUint16(p + 30, true);
+        const commentLen = cd.getUint16(p + 32, true);
+        const name = names.decode(new Uint8Array(cd.buffer, cd.byteOffset + p + 46, nameLen));
+        out.set(name.split("/").pop(), {
+            method: cd.getUint16(p + 10, true),
+            compSize: cd.getUint32(p + 20, true),
+            offset: cd.getUint32(p + 42, true),
+        });
+        p += 46 + nameLen + extraLen + commentLen;
+    }
+    return out;
+}
+
+// Decoded text stream of one zip entry
+async function zipEntryText(blob, entry) {
+    const local = new DataView(await blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+    if (local.getUint32(0, true) !== 0x04034b50) throw new Error("Corrupt zip entry");
+    const start = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+
+    let stream = blob.slice(start, start + entry.compSize).stream();
+    if (entry.method === 8) stream = stream.pipeThrough(new DecompressionStream("deflate-raw"));
+    else if (entry.method !== 0) throw new Error(`Unsupported zip compression (${entry.method})`);
+    return stream.pipeThrough(new TextDecoderStream());
+}
+
+function splitCsvLine(line) {
+    if (!line.includes('"')) return line.split(",");
+    const out = [];
+    let cur = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                cur += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cur += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ",") {
+            out.push(cur);
+            cur = "";
+        } else {
+            cur += c;
+        }
+    }
+    out.push(cur);
+    return out;
+}
+
+// Calls fn(values) per data row, values in the order of `wanted` columns ("" when missing).
+async function eachCsvRow(textStream, wanted, fn) {
+    const reader = textStream.getReader();
+    let idx = null;
+    let rest = "";
+    let carry = ""; // a quoted field spanning lines
+
+    const onLine = (raw) => {
+        const line = carry ? `${carry}\n${raw}` : raw;
+        if ((line.match(/"/g)?.length || 0) % 2) {
+            carry = line;
+            return;
+        }
+        carry = "";
+        const clean = line.replace(/\r$/, "");
+        if (!clean) return;
+        const f = splitCsvLine(clean);
+        if (!idx) {
+            const cols = f.map((c) => c.trim().replace(/^\uFEFF/, ""));
+            idx = wanted.map((w) => cols.indexOf(w));
+            return;
+        }
+        fn(idx.map((i) => (i >= 0 ? f[i] ?? "" : "")));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        rest += value;
+        const lines = rest.split("\n");
+        rest = lines.pop();
+        for (const l of lines) onLine(l);
+    }
+    if (rest || carry) onLine(rest);
+}
+
+function secondsFromGtfsTime(s) {
+    const m = /^\s*(\d+):(\d{2}):(\d{2})\s*$/.exec(s || "");
+    return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+/* ---------------- Import ---------------- */
+
+// Import a GTFS zip (File/Blob/ArrayBuffer), keeping only trips on `routes`.
+// onProgress({ file, rows }) fires every 50k rows. Resolves with the stored feed summary.
+export async function importGtfsZip(source, { routes, onProgress = null } = {}) {
+    const blob = source instanceof Blob ? source : new Blob([source]);
+    const keepRoutes = new Set(routes || []);
+    if (!keepRoutes.size) throw new Error("No routes to import");
+
+    const entries = await zipEntries(blob);
+    for (const f of ["stops.txt", "trips.txt", "stop_times.txt"]) {
+        if (!entries.has(f)) throw new Error(`GTFS zip has no ${f}`);
+    }
+    if (!entries.has("calendar.txt") && !entries.has("calendar_dates.txt")) {
+        throw new Error("GTFS zip has no calendar.txt or calendar_dates.txt");
+    }
+
+    const read = async (file, wanted, fn) => {
+        if (!entries.has(file)) return;
+        let rows = 0;
+        await eachCsvRow(await zipEntryText(blob, entries.get(file)), wanted, (v) => {
+            fn(v);
+            if (++rows % 50_000 === 0) onProgress?.({ file, rows });
+        });
+        onProgress?.({ file, rows });
+    };
+
+    // tripId -> [route, service, dir, routePattern]
+    const trips = {};
+    const services = {};
+    await read("trips.txt", ["trip_id", "route_id", "service_id", "direction_id", "route_pattern_id"], ([id, route, service, dir, pattern]) => {
+        if (!keepRoutes.has(route)) return;
+        trips[id] = [route, service, dir === "" ? null : Number(dir), pattern || null];
+        services[service] = { days: null, start: null, end: null, add: [], remove: [] };
+    });
+
+    // stopId -> parent station ("" when none)
+    const stops = {};
+    await read("stops.txt", ["stop_id", "parent_station"], ([id, parent]) => {
+        stops[id] = parent || "";
+    });
+
+    const dayCols = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+    await read("calendar.txt", ["service_id", ...dayCols, "start_date", "end_date"], (v) => {
+        const s = services[v[0]];
+        if (!s) return;
+        s.days = v.slice(1, 8).map((x) => (x === "1" ? "1" : "0")).join("");
+        s.start = v[8];
+        s.end = v[9];
+    });
+    await read("calendar_dates.txt", ["service_id", "date", "exception_type"], ([id, date, type]) => {
+        const s = services[id];
+        if (!s) return;
+        if (type === "1") s.add.push(date);
+        else if (type === "2") s.remove.push(date);
+    });
+
+    const byStop = new Map();
+    let stopTimeCount = 0;
+    await read("stop_times.txt", ["trip_id", "stop_id", "arrival_time", "departure_time", "stop_sequence"], ([trip, stop, arr, dep, seq]) => {
+        if (!trips[trip]) return;
+        if (!byStop.has(stop)) byStop.set(stop, []);
+        byStop.get(stop).push([trip, secondsFromGtfsTime(arr), secondsFromGtfsTime(dep), Number(seq)]);
+        stopTimeCount++;
+    });
+
+    let startDate = null;
+    let endDate = null;
+    for (const s of Object.values(services)) {
+        for (const d of [s.start, s.end, ...s.add]) {
+            if (!d) continue;
+            if (!startDate || d < startDate) startDate = d;
+            if (!endDate || d > endDate) endDate = d;
+        }
+    }
+
+    const feed = {
+        id: "feed",
+        importedAt: Date.now(),
+        routes: [...keepRoutes].sort(),
+        startDate,
+        endDate,
+        counts: { trips: Object.keys(trips).length, stopTimes: stopTimeCount, stops: byStop.size },
+        trips,
+        stops,
+        services,
+    };
+    if (!feed.counts.trips) throw new Error("GTFS zip has no trips for these routes");
+
+    await clearGtfsFeed();
+    const db = await openDb();
+    if (db) {
+        const tx = db.transaction([FEED_STORE, STOP_TIMES_STORE], "readwrite");
+        tx.objectStore(FEED_STORE).put(feed);
+        const st = tx.objectStore(STOP_TIMES_STORE);
+        for (const [stop, rows] of byStop) st.put({ stop, rows });
+        await txDone(tx);
+    } else {
+        memFeed = feed;
+        for (const [stop, rows] of byStop) memStopTimes.set(stop, rows);
+    }
+
+    feedP = Promise.resolve(feed);
+    return gtfsFeedSummary(feed);
+}
+
+/* ---------------- Read ---------------- */
+
+// The imported feed, or null
+export function loadGtfsFeed() {
+    if (!feedP) {
+        feedP = (async () => {
+            const db = await openDb();
+            if (!db) return memFeed;
+            try {
+                return (await idbDone(db.transaction(FEED_STORE).objectStore(FEED_STORE).get("feed"))) || null;
+            } catch {
+                return null;
+            }
+        })();
+    }
+    return feedP;
+}
+
+// { importedAt, routes, startDate, endDate, counts } for status lines
+export function gtfsFeedSummary(feed) {
+    if (!feed) return null;
+    const { importedAt, routes, startDate, endDate, counts } = feed;
+    return { importedAt, routes, startDate, endDate, counts };
+}
+
+// Map<stopId, rows> for the stops that have any imported stop times
+export async function gtfsStopTimes(stopIds) {
+    const out = new Map();
+    const missing = stopIds.filter((id) => {
+        if (!stopTimesCache.has(id)) return true;
+        out.set(id, stopTimesCache.get(id));
+        return false;
+    });
+    if (!missing.length) return out;
+
+    const db = await openDb();
+    if (!db) {
+        for (const id of missing) {
+            const rows = memStopTimes.get(id) || [];
+            stopTimesCache.set(id, rows);
+            out.set(id, rows);
+        }
+        return out;
+    }
+
+    const store = db.transaction(STOP_TIMES_STORE).objectStore(STOP_TIMES_STORE);
+    const recs = await Promise.all(missing.map((id) => idbDone(store.get(id))));
+    missing.forEach((id, i) => {
+        const rows = recs[i]?.rows || [];
+        stopTimesCache.set(id, rows);
+        out.set(id, rows);
+    });
+    return out;
+}
+
+export async function clearGtfsFeed() {
+    feedP = null;
+    memFeed = null;
+    memStopTimes.clear();
+    stopTimesCache.clear();
+    const db = await openDb();
+    if (!db) return;
+    const tx = db.transaction([FEED_STORE, STOP_TIMES_STORE], "readwrite");
+    tx.objectStore(FEED_STORE).clear();
+    tx.objectStore(STOP_TIMES_STORE).clear();
+    await txDone(tx);
+}
+
+// Does service run on "YYYY-MM-DD"? calendar_dates exceptions win over calendar.
+export function gtfsServiceActive(feed, serviceId, ymd) {
+    const s = feed.services[serviceId];
+    if (!s) return false;
+    const d = ymd.replaceAll("-", "");
+    if (s.add.includes(d)) return true;
+    if (s.remove.includes(d)) return false;
+    if (!s.days || !s.start || d < s.start || d > s.end) return false;
+    const [y, m, day] = ymd.split("-").map(Number);
+    const dow = new Date(Date.UTC(y, m - 1, day)).getUTCDay(); // 0 = Sunday
+    return s.days[(dow + 6) % 7] === "1";
+}
@@ -0,0 +1,275 @@
+// itinerary.js
+// Itinerary descriptions: an ordered list of legs the planner chains into groups/rows.
+// The Green → Red → 75 commute is just the default preset.
+// ES module
+
+// Leg shape:
+//   id           stable key (cache slots, alert counts)
+//   label        short line name shown in legend/alerts ("Red", "75")
+//   routes       MBTA route ids that can serve the leg
+//   from, to     board/alight station (parent station or stop id). "$home" => state.homeStop
+//   fromLabel    column header for the board time
+//   toLabel      column header for the alight time (only shown for the last leg)
+//   transferMin  minimum minutes between arriving on the previous leg and boarding this one.
+//                "$layover" => state.layoverMin. state.transferTimes overrides it per station.
+//   color        CSS var used for the header stripes
+export const PRESETS = {
+    homebound: {
+        name: "Arlington → Park → Harvard → 75",
+        legs: [
+            {
+                id: "green",
+                label: "Green",
+                routes: ["Green-B", "Green-C", "Green-D", "Green-E"],
+                from: "place-armnl",
+                to: "place-pktrm",
+                fromLabel: "Arlington",
+                toLabel: "Park",
+                transferMin: 0,
+                color: "--gl-green",
+            },
+            {
+                id: "red",
+                label: "Red",
+                routes: ["Red"],
+                from: "place-pktrm",
+                to: "place-harsq",
+                fromLabel: "Park",
+                toLabel: "Harvard",
+                transferMin: 1,
+                color: "--rl-red",
+            },
+            {
+                id: "bus",
+                label: "75",
+                routes: ["75"],
+                from: "place-harsq",
+                to: "$home",
+                fromLabel: "Harvard",
+                toLabel: "Home",
+                transferMin: "$layover",
+                color: "--bus-yellow",
+            },
+        ],
+    },
+    kendall39: {
+        name: "Kendall → Downtown Crossing → Forest Hills → 39",
+        legs: [
+            {
+                id: "red",
+                label: "Red",
+                routes: ["Red"],
+                from: "place-knncl",
+                to: "place-dwnxg",
+                fromLabel: "Kendall",
+                toLabel: "DTX",
+                transferMin: 0,
+                color: "--rl-red",
+            },
+            {
+                id: "orange",
+                label: "Orange",
+                routes: ["Orange"],
+                from: "place-dwnxg",
+                to: "place-forhl",
+                fromLabel: "DTX",
+                toLabel: "Forest Hills",
+                transferMin: 2,
+                color: "--ol-orange",
+            },
+            {
+                id: "bus",
+                label: "39",
+                routes: ["39"],
+                from: "place-forhl",
+                to: "$home",
+                fromLabel: "Forest Hills",
+                toLabel: "Home",
+                transferMin: "$layover",
+                color: "--bus-yellow",
+            },
+        ],
+    },
+};
+
+export const DEFAULT_PRESET = "homebound";
+
+function asStringList(v) {
+    if (Array.isArray(v)) return v.map((x) => String(x).trim()).filter(Boolean);
+    if (typeof v === "string") return v.split(",").map((x) => x.trim()).filter(Boolean);
+    return [];
+}
+
+// Validate a user-supplied itinerary ({ name?, legs: [...] } or a bare legs array).
+// Returns a normalized itinerary, or null if it can't be planned.
+export function parseItinerary(raw) {
+    let obj = raw;
+    if (typeof raw === "string") {
+        if (!raw.trim()) return null;
+        try {
+            obj = JSON.parse(raw);
+        } catch {
+            return null;
+        }
+    }
+    if (Array.isArray(obj)) obj = { legs: obj };
+    if (!obj || typeof obj !== "object" || !Array.isArray(obj.legs) || !obj.legs.length) return null;
+
+    const legs = [];
+    for (const [i, l] of obj.legs.entries()) {
+        if (!l || typeof l !== "object") return null;
+        const routes = asStringList(l.routes ?? l.route);
+        const from = String(l.from || "").trim();
+        const to = String(l.to || "").trim();
+        if (!routes.length || !from) return null;
+
+        // Only the last leg may omit its alight station (shown as an optional final column).
+        const isLast = i === obj.legs.length - 1;
+        if (!to && !isLast) return null;
+
+        const tm = l.transferMin === "$layover" ? "$layover" : Number(l.transferMin ?? 0);
+        if (tm !== "$layover" && !(Number.isFinite(tm) && tm >= 0)) return null;
+
+        legs.push({
+            id: String(l.id || `leg${i + 1}`),
+            label: String(l.label || routes[0]),
+            routes,
+            from,
+            to,
+            fromLabel: String(l.fromLabel || from),
+            toLabel: String(l.toLabel || to || ""),
+            transferMin: tm,
+            color: String(l.color || "--table-head-bg"),
+        });
+    }
+
+    return { name: String(obj.name || "Custom"), legs };
+}
+
+/* ---------------- Transfer times ---------------- */
+
+// Transfer table: { [station]: min, [`${station}|${fromRoute}>${toRoute}`]: min }.
+// Either route may be "*". Most specific entry wins, then the leg's own transferMin.
+export function transferMinFor(table, station, fromRoute, toRoute, fallback) {
+    const t = table || {};
+    const keys = [
+        `${station}|${fromRoute}>${toRoute}`,
+        `${station}|${fromRoute}>*`,
+        `${station}|*>${toRoute}`,
+        station,
+    ];
+    for (const k of keys) {
+        const v = Number(t[k]);
+        if (t[k] !== undefined && t[k] !== "" && Number.isFinite(v) && v >= 0) return v;
+    }
+    return fallback;
+}
+
+// Route-specific overrides as text, one per line: "place-pktrm Green-E>Red 4"
+export function parseTransferOverrides(text) {
+    const out = {};
+    for (const line of String(text || "").split(/\n+/)) {
+        const m = line.trim().match(/^(\S+)\s+([^\s>]+)\s*>\s*(\S+)\s+(\d+(?:\.\d+)?)$/);
+        if (m) out[`${m[1]}|${m[2]}>${m[3]}`] = Number(m[4]);
+    }
+    return out;
+}
+
+export function formatTransferOverrides(table) {
+    return Object.entries(table || {})
+        .filter(([k]) => k.includes("|"))
+        .map(([k, v]) => {
+            const [station, pair] = k.split("|");
+            return `${station} ${pair} ${v}`;
+        })
+        .join("\n");
+}
+
+// Walk from where the trip starts (office, home) to the first leg's board stop:
+// { "*": min, [entrance]: min }. Named entrances replace the plain walk.
+// -> [{ entrance, min }] shortest first (entrance "" for the plain walk); [] = not set.
+export function originWalks(table) {
+    const valid = Object.entries(table && typeof table === "object" ? table : {})
+        .filter(([, v]) => v !== "" && v != null && Number.isFinite(Number(v)) && Number(v) >= 0)
+        .map(([entrance, v]) => ({ entrance: entrance === "*" ? "" : entrance, min: Number(v) }));
+    const named = valid.filter((w) => w.entrance);
+    return (named.length ? named : valid).sort((a, b) => a.min - b.min);
+}
+
+// Per-entrance walks as text, one per line: "Boylston St 3"
+export function parseEntranceWalks(text) {
+    const out = {};
+    for (const line of String(text || "").split(/\n+/)) {
+        const m = line.trim().match(/^(.+?)\s+(\d+(?:\.\d+)?)$/);
+        if (m && m[1] !== "*") out[m[1]] = Number(m[2]);
+    }
+    return out;
+}
+
+export function formatEntranceWalks(table) {
+    return Object.entries(table || {})
+        .filter(([k]) => k !== "*")
+        .map(([entrance, v]) => `${entrance} ${v}`)
+        .join("\n");
+}
+
+// Morning (outbound) trip: the same legs in reverse order with board/alight swapped.
+// Transfers stay attached to their station: the one at X moves onto the leg now boarding at X.
+export function reverseLegs(legs) {
+    const rev = [...legs].reverse();
+    return rev.map((l, i) => ({
+        ...l,
+        from: l.to,
+        to: l.from,
+        fromLabel: l.toLabel,
+        toLabel: l.fromLabel,
+        transferMin: i === 0 ? 0 : rev[i - 1].transferMin,
+    }));
+}
+
+// Resolve the itinerary to plan from state: custom JSON wins over the preset when valid.
+// state.busRoutes (CSV) overrides the routes of a preset's "bus" leg.
+// Placeholders ("$home", "$layover") are substituted with the current state values.
+// direction "outbound" plans the reverse trip (home → ... → first station).
+export function resolveItinerary(state) {
+    const rawCustom = String(state?.itineraryJson || "").trim();
+    const custom = rawCustom ? parseItinerary(rawCustom) : null;
+
+    const presetId = PRESETS[state?.itineraryPreset] ? state.itineraryPreset : DEFAULT_PRESET;
+    const base = custom || parseItinerary(PRESETS[presetId]);
+
+    const homeStop = String(state?.homeStop || "").trim();
+    const layoverMin = Math.max(0, Number(state?.layoverMin || 0));
+
+    // Candidate bus routes (e.g. "71,72,73,74,75") replace the preset's bus leg routes
+    const busRoutes = custom ? [] : asStringList(state?.busRoutes);
+
+    let legs = base.legs.map((l) => ({
+        ...l,
+        ...(l.id === "bus" && busRoutes.length ? { routes: busRoutes, label: busRoutes.join("/") } : {}),
+        to: l.to === "$home" ? homeStop : l.to,
+        transferMin: l.transferMin === "$layover" ? layoverMin : l.transferMin,
+    }));
+
+    const direction = state?.direction === "outbound" ? "outbound" : "homebound";
+    if (direction === "outbound") {
+        legs = reverseLegs(legs);
+        // Without a home stop there is nowhere to board the first (bus) leg: start at the next one.
+        if (!legs[0].from && legs.length > 1) legs = [{ ...legs[1], transferMin: 0 }, ...legs.slice(2)];
+    }
+
+    // Station-level transfer times replace the leg defaults (route-specific ones apply per trip)
+    const transferTimes = state?.transferTimes && typeof state.transferTimes === "object" ? state.transferTimes : {};
+    legs = legs.map((l, i) => (i === 0 ? l : { ...l, transferMin: transferMinFor(transferTimes, l.from, "*", "*", l.transferMin) }));
+
+    return {
+        id: custom ? "custom" : presetId,
+        name: base.name,
+        direction,
+        legs,
+        transferTimes,
+        originWalk: originWalks(state?.originWalk),
+        homeStop,
+        ok: !rawCustom || !!custom,
+    };
+}
@@ -2,9 +2,11 @@
 // MBTA API I/O + predictions/schedules merge + alerts counts
 // ES module
 
-export const BASE = "https://api-v3.mbta.com";
+import { loadGtfsFeed, gtfsFeedSummary, gtfsStopTimes, gtfsServiceActive } from "./gtfs.js";
+import { serviceDayStart } from "./time.js";
+import { alertActiveDuring } from "./core.js";
 
-const childStopCache = new Map();
+export const BASE = "https://api-v3.mbta.com";
 
 function parseIso(s) {
     return s ? new Date(s) : null;
@@ -20,10 +22,6 @@ function schedDestTime(attrs) {
     return parseIso(attrs?.arrival_time) || parseIso(attrs?.departure_time) || null;
 }
 
-function bestTimeFromAttrs(attrs) {
-    return parseIso(attrs.arrival_time) || parseIso(attrs.departure_time);
-}
-
 export function csvFromSet(set) {
     return [...set].join(",");
 }
@@ -32,72 +30,389 @@ function csvFromAnySet(set) {
     return [...new Set([...set])].sort().join(",");
 }
 
-// ---- Persistent cache (localStorage) ----
-const LS_PREFIX = "mbta-cache:v1:";
-const LS_MAX_BYTES = 750_000; // best-effort guard; adjust if you want
+/* ---------------- Response cache ---------------- */
 
-function lsKey(key) {
-    return LS_PREFIX + key;
+// One entry per request, each resource with its own TTL; past CACHE_MAX_BYTES the least
+// recently used entries go. The cache keeps its LRU index in memory and persists through a
+// store: IndexedDB in the browser (metadata in its own object store, so the index loads
+// without reading the bodies), or a plain Map (memoryCacheStore) in Node.
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+
+export const CACHE_TTL = {
+    stops: 7 * DAY,
+    routes: 7 * DAY,
+    route_patterns: DAY,
+    trips: DAY,
+    schedules: 60 * MIN,
+    alerts: MIN,
+};
+
+const CACHE_DB = "mbta-cache";
+const CACHE_BODIES = "bodies"; // key -> { key, value }
+const CACHE_META = "meta"; // key -> { key, resource, bytes, savedAt, usedAt, expiresAt }
+const CACHE_MAX_BYTES = 25_000_000;
+const LEGACY_LS_PREFIX = "mbta-cache:v1:"; // pre-IndexedDB localStorage entries
+
+function idbDone(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
 }
 
-function lsGet(key) {
-    try {
-        const raw = localStorage.getItem(lsKey(key));
-        if (!raw) return null;
-        const obj = JSON.parse(raw);
-        if (!obj || typeof obj !== "object") return null;
-        if (obj.expiresAt && obj.expiresAt <= Date.now()) {
-            localStorage.removeItem(lsKey(key));
-            return null;
-        }
-        return obj.value ?? null;
-    } catch {
-        return null;
-    }
+function idbTx(db, mode, fn) {
+    const tx = db.transaction([CACHE_BODIES, CACHE_META], mode);
+    const out = fn(tx.objectStore(CACHE_BODIES), tx.objectStore(CACHE_META));
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(out);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
 }
 
-function lsGetEntry(key) {
+function clearLegacyLocalStorage() {
     try {
-        const raw = localStorage.getItem(lsKey(key));
-        if (!raw) return null;
-        const obj = JSON.parse(raw);
-        if (!obj || typeof obj !== "object") return null;
-        if (obj.expiresAt && obj.expiresAt <= Date.now()) {
-            localStorage.removeItem(lsKey(key));
-            return null;
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const k = localStorage.key(i);
+            if (k && k.startsWith(LEGACY_LS_PREFIX)) localStorage.removeItem(k);
         }
-        return obj; // includes { expiresAt, savedAt, value, ...custom fields }
-    } catch {
-        return null;
-    }
+    } catch { }
 }
 
-function lsSet(key, value, ttlMs) {
-    try {
-        const obj = {
-            expiresAt: Date.now() + ttlMs,
-            savedAt: Date.now(),
-            value,
-        };
-        const raw = JSON.stringify(obj);
+// Store interface used by createResponseCache:
+//   load() -> [meta], get(key) -> value|null, put(meta, value), touch(meta), remove([key]), clear()
+export function memoryCacheStore() {
+    const metas = new Map();
+    const bodies = new Map();
+    return {
+        async load() {
+            return [...metas.values()];
+        },
+        async get(key) {
+            return bodies.get(key) ?? null;
+        },
+        async put(meta, value) {
+            metas.set(meta.key, meta);
+            bodies.set(meta.key, value);
+        },
+        async touch(meta) {
+            metas.set(meta.key, meta);
+        },
+        async remove(keys) {
+            for (const k of keys) {
+                metas.delete(k);
+                bodies.delete(k);
+            }
+        },
+        async clear() {
+            metas.clear();
+            bodies.clear();
+        },
+    };
+}
 
-        // crude guard against runaway growth
-        if (raw.length > LS_MAX_BYTES) return;
+// IndexedDB store; behaves like memoryCacheStore where IndexedDB can't be opened.
+export function indexedDbCacheStore(dbName = CACHE_DB) {
+    const memory = memoryCacheStore();
+    let dbP = null;
+    const open = () => {
+        dbP ||= (async () => {
+            clearLegacyLocalStorage();
+            if (typeof indexedDB === "undefined") return null;
+            try {
+                const req = indexedDB.open(dbName, 1);
+                req.onupgradeneeded = () => {
+                    req.result.createObjectStore(CACHE_BODIES, { keyPath: "key" });
+                    req.result.createObjectStore(CACHE_META, { keyPath: "key" });
+                };
+                return await idbDone(req);
+            } catch {
+                return null;
+            }
+        })();
+        return dbP;
+    };
 
-        localStorage.setItem(lsKey(key), raw);
-    } catch {
-        // quota exceeded / blocked - just skip caching
-    }
+    return {
+        async load() {
+            const db = await open();
+            if (!db) return memory.load();
+            return idbDone(db.transaction(CACHE_META).objectStore(CACHE_META).getAll());
+        },
+        async get(key) {
+            const db = await open();
+            if (!db) return memory.get(key);
+            return (await idbTx(db, "readonly", (bodies) => idbDone(bodies.get(key))))?.value ?? null;
+        },
+        async put(meta, value) {
+            const db = await open();
+            if (!db) return memory.put(meta, value);
+            await idbTx(db, "readwrite", (bodies, metas) => {
+                bodies.put({ key: meta.key, value });
+                metas.put(meta);
+            });
+        },
+        async touch(meta) {
+            const db = await open();
+            if (!db) return memory.touch(meta);
+            await idbTx(db, "readwrite", (_, metas) => metas.put(meta));
+        },
+        async remove(keys) {
+            const db = await open();
+            if (!db) return memory.remove(keys);
+            await idbTx(db, "readwrite", (bodies, metas) => {
+                for (const k of keys) {
+                    bodies.delete(k);
+                    metas.delete(k);
+                }
+            });
+        },
+        async clear() {
+            clearLegacyLocalStorage();
+            const db = await open();
+            if (!db) return memory.clear();
+            await idbTx(db, "readwrite", (bodies, metas) => {
+                bodies.clear();
+                metas.clear();
+            });
+        },
+    };
 }
 
-// Optional: wipe all cached MBTA stuff
-export function clearPersistentMbtaCache() {
-    try {
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const k = localStorage.key(i);
-            if (k && k.startsWith(LS_PREFIX)) localStorage.removeItem(k);
-        }
-    } catch { }
+// clock: { now() } for saved-at / expiry times (createContext passes its own)
+export function createResponseCache(store = memoryCacheStore(), clock = systemClock) {
+    const index = new Map(); // key -> meta
+    const counts = new Map(); // resource -> { hits, misses } (this session)
+    let loadedP = null;
+
+    const ready = () => {
+        loadedP ||= (async () => {
+            const now = clock.now().getTime();
+            const expired = [];
+            for (const m of await store.load().catch(() => [])) {
+                if (m.expiresAt > now) index.set(m.key, m);
+                else expired.push(m.key);
+            }
+            if (expired.length) store.remove(expired).catch(() => { });
+        })();
+        return loadedP;
+    };
+
+    const count = (resource, hit) => {
+        const c = counts.get(resource) || { hits: 0, misses: 0 };
+        if (hit) c.hits++;
+        else c.misses++;
+        counts.set(resource, c);
+    };
+
+    const remove = async (keys) => {
+        for (const k of keys) index.delete(k);
+        if (keys.length) await store.remove(keys).catch(() => { });
+    };
+
+    return {
+        // Cached value for key, or null. maxAgeMs (optional) is stricter than the entry's TTL.
+        async get(resource, key, { maxAgeMs = null } = {}) {
+            await ready();
+            const now = clock.now().getTime();
+            const m = index.get(key);
+
+            if (!m || m.expiresAt <= now || (maxAgeMs != null && now - m.savedAt >= maxAgeMs)) {
+                count(resource, false);
+                if (m && m.expiresAt <= now) await remove([key]);
+                return null;
+            }
+
+            const value = await store.get(key).catch(() => null);
+            if (value == null) {
+                count(resource, false);
+                index.delete(key);
+                return null;
+            }
+
+            count(resource, true);
+            m.usedAt = now;
+            store.touch(m).catch(() => { });
+            return value;
+        },
+
+        async set(resource, key, value, ttlMs = CACHE_TTL[resource] || 0) {
+            if (!(ttlMs > 0)) return;
+            await ready();
+
+            let bytes = 0;
+            try {
+                bytes = JSON.stringify(value).length;
+            } catch {
+                return;
+            }
+            if (bytes > CACHE_MAX_BYTES) return;
+
+            const now = clock.now().getTime();
+            const m = { key, resource, bytes, savedAt: now, usedAt: now, expiresAt: now + ttlMs };
+            index.set(key, m);
+            await store.put(m, value).catch(() => index.delete(key));
+
+            // LRU eviction by total size
+            let total = 0;
+            for (const x of index.values()) total += x.bytes;
+            if (total <= CACHE_MAX_BYTES) return;
+            const victims = [];
+            for (const x of [...index.values()].sort((a, b) => a.usedAt - b.usedAt)) {
+                if (total <= CACHE_MAX_BYTES) break;
+                if (x.key === key) continue;
+                victims.push(x.key);
+                total -= x.bytes;
+            }
+            await remove(victims);
+        },
+
+        // Keys currently cached (unexpired) that start with prefix
+        async keys(prefix) {
+            await ready();
+            const now = clock.now().getTime();
+            return [...index.values()].filter((m) => m.key.startsWith(prefix) && m.expiresAt > now).map((m) => m.key);
+        },
+
+        // A miss decided outside get() (no candidate key at all)
+        miss(resource) {
+            count(resource, false);
+        },
+
+        // { entries, bytes, maxBytes, resources: [{ resource, hits, misses, hitRate, entries, bytes }] }
+        // hitRate is null until the resource has been asked for.
+        stats() {
+            const byRes = new Map();
+            const row = (r) => {
+                if (!byRes.has(r)) byRes.set(r, { resource: r, hits: 0, misses: 0, hitRate: null, entries: 0, bytes: 0 });
+                return byRes.get(r);
+            };
+            let entries = 0;
+            let bytes = 0;
+            for (const m of index.values()) {
+                const r = row(m.resource);
+                r.entries++;
+                r.bytes += m.bytes;
+                entries++;
+                bytes += m.bytes;
+            }
+            for (const [res, c] of counts) Object.assign(row(res), c);
+            for (const r of byRes.values()) {
+                const n = r.hits + r.misses;
+                r.hitRate = n ? r.hits / n : null;
+            }
+            return {
+                entries,
+                bytes,
+                maxBytes: CACHE_MAX_BYTES,
+                resources: [...byRes.values()].sort((a, b) => a.resource.localeCompare(b.resource)),
+            };
+        },
+
+        // Drop every entry and the hit counters
+        async clear() {
+            await ready();
+            index.clear();
+            counts.clear();
+            await store.clear().catch(() => { });
+        },
+    };
+}
+
+/* ---------------- Context ---------------- */
+
+// Everything the loaders and the planner reach for outside their arguments:
+//   fetch      fetch(url, init) implementation
+//   cache      response cache (createResponseCache)
+//   clock      { now() -> Date }: the plan's "now" when there's no start override, and the
+//              time the response cache and the offline fallback go by
+//   rateLimit  pace requests through `limiter` (off for stubbed fetches)
+//   limiter    request budget shared by everything using this context (see Request scheduler)
+//   memo       in-memory lookups (child stops, route stops, route patterns, trip stop lists)
+//   inflight   requests in flight, shared by identical fetchJson calls (see singleFlight)
+//   conditional  send If-None-Match / If-Modified-Since from `validators` (see Conditional
+//              requests); off in the browser, where they'd cost a CORS preflight per request
+//   validators last ETag / Last-Modified and body per request URL
+//   session    record / replay state (see Record / replay)
+//   offline    GTFS fallback state (see Offline schedules) and `gtfs`, where the feed comes from
+//   streams    live prediction streams (see Streaming predictions); null = always poll
+//   signal     AbortSignal: when it aborts, every request made with this context gives up
+// Every loader takes it as its last argument and defaults to browserContext. withSignal copies
+// share everything but the signal.
+export const systemClock = { now: () => new Date() };
+
+export function fixedClock(at) {
+    const t = new Date(at).getTime();
+    return { now: () => new Date(t) };
+}
+
+export function createContext({
+    fetch: fetchImpl = null,
+    cache = null,
+    clock = systemClock,
+    rateLimit = true,
+    signal = null,
+    conditional = typeof window === "undefined",
+    gtfs = { loadFeed: loadGtfsFeed, stopTimes: gtfsStopTimes },
+    streaming = false,
+} = {}) {
+    return {
+        // late-bound so a global fetch installed after import is still used
+        fetch: fetchImpl || ((url, init) => fetch(url, init)),
+        cache: cache || createResponseCache(memoryCacheStore(), clock),
+        clock,
+        rateLimit,
+        limiter: createRequestLimiter(),
+        memo: { childStops: new Map(), routeStops: new Map(), routePatterns: new Map(), tripStops: new Map() },
+        inflight: new Map(),
+        conditional,
+        validators: new Map(),
+        session: { recording: null, replaying: null },
+        offline: { until: 0, served: 0 },
+        gtfs,
+        streams: streaming ? { open: new Map(), listeners: new Set(), statusListeners: new Set() } : null,
+        signal,
+    };
+}
+
+// Same context (fetch, cache, memo, in-flight requests), cancelled by `signal`
+export function withSignal(ctx, signal) {
+    return { ...ctx, signal };
+}
+
+export function isAbortError(err) {
+    return err?.name === "AbortError";
+}
+
+function abortReason(signal) {
+    return signal?.reason || new DOMException("Aborted", "AbortError");
+}
+
+// Global fetch, IndexedDB cache, wall clock, shared rate limit, live prediction streams
+export const browserContext = createContext({ cache: createResponseCache(indexedDbCacheStore()), streaming: true });
+
+// Cache access as the loaders see it: bypassed while recording/replaying a session
+function cacheGet(ctx, resource, key, opts) {
+    return sessionActive(ctx) ? null : ctx.cache.get(resource, key, opts);
+}
+
+function cacheSet(ctx, resource, key, value, ttlMs) {
+    return ctx.session.replaying ? null : ctx.cache.set(resource, key, value, ttlMs);
+}
+
+async function cachedKeys(ctx, prefix) {
+    return sessionActive(ctx) ? [] : await ctx.cache.keys(prefix);
+}
+
+export function getCacheStats(ctx = browserContext) {
+    return ctx.cache.stats();
+}
+
+// Wipe all cached MBTA responses (and the hit counters)
+export async function clearPersistentMbtaCache(ctx = browserContext) {
+    clearConditionalCache(ctx);
+    await ctx.cache.clear();
 }
 
 function stableParamsKey(params) {
@@ -110,65 +425,402 @@ function persistentKey(url, params, { includeApiKey = false, apiKey = "" } = {})
     return `${url}|${stableParamsKey(params)}|k:${includeApiKey ? apiKey : ""}`;
 }
 
-function normalizeStartOverride(startOverride) {
-    // Fingerprint must be stable across reloads.
-    // Accept Date, ISO string, number, etc.
-    if (!startOverride) return "";
-    if (startOverride instanceof Date) return startOverride.toISOString();
-
-    // If it's a string that parses as a date, normalize to ISO (stable).
-    if (typeof startOverride === "string") {
-        const d = new Date(startOverride);
-        if (!Number.isNaN(d.getTime())) return d.toISOString();
-        return startOverride; // keep raw string if not a date
-    }
-
-    // numbers / booleans / objects -> stringify best-effort
-    try {
-        return typeof startOverride === "object"
-            ? JSON.stringify(startOverride)
-            : String(startOverride);
-    } catch {
-        return String(startOverride);
-    }
-}
-
-// Fetch + persistent cache with TTL
+// Fetch through the response cache. The resource (TTL + stats bucket) is the first path segment.
 export async function fetchJsonCachedPersistent(
     state,
     url,
     params = null,
-    ttlMs = 0,
-    { includeApiKeyInCacheKey = false } = {}
+    ttlMs = null,
+    { includeApiKeyInCacheKey = false } = {},
+    ctx = browserContext
 ) {
+    const resource = new URL(url).pathname.split("/")[1] || "other";
+    const ttl = ttlMs ?? CACHE_TTL[resource] ?? 0;
     const key = persistentKey(url, params, { includeApiKey: includeApiKeyInCacheKey, apiKey: state?.apiKey || "" });
 
-    if (ttlMs > 0) {
-        const hit = lsGet(key);
+    if (ttl > 0) {
+        const hit = await cacheGet(ctx, resource, key);
         if (hit) return hit;
     }
 
-    const value = await fetchJson(state, url, params);
+    const value = await fetchJson(state, url, params, ctx);
 
-    if (ttlMs > 0) lsSet(key, value, ttlMs);
+    if (ttl > 0) await cacheSet(ctx, resource, key, value, ttl);
     return value;
 }
 
-export async function fetchJson(state, url, params = null) {
+/* ---------------- Request scheduler ---------------- */
+
+// Every API request of a context goes through its limiter's token bucket: 20 req/min without
+// an API key, 1000 with one (the V3 limits), refilled continuously. Server headers override
+// the local guess: x-ratelimit-remaining/-reset pause the bucket until the window resets, and
+// a 429's Retry-After blocks everything until then. 429/5xx/network errors retry with
+// exponential backoff + jitter. Pacing follows the wall clock (it's the server's window),
+// not ctx.clock.
+
+const RATE_LIMITS = {
+    anonymous: { perMin: 20, burst: 10 },
+    keyed: { perMin: 1000, burst: 50 },
+};
+const MAX_RETRIES = 3;
+const MAX_NETWORK_RETRIES = 1; // a second network failure means offline: let the caller fall back
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30_000;
+
+function createRequestLimiter() {
+    return {
+        keyed: null, // which limits the bucket is sized for
+        perMin: 0,
+        burst: 0,
+        tokens: 0,
+        refilledAt: 0,
+        blockedUntil: 0, // Retry-After / x-ratelimit-reset
+        server: null, // { limit, remaining, resetAt } from the last response
+        queued: 0,
+        listeners: new Set(), // onRequestBudgetChange
+    };
+}
+
+// Resolves after ms, or rejects as soon as `signal` aborts
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortReason(signal));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortReason(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+function sizeBucket(bucket, state) {
+    const keyed = !!state?.apiKey;
+    if (bucket.keyed === keyed) return;
+    const lim = keyed ? RATE_LIMITS.keyed : RATE_LIMITS.anonymous;
+    Object.assign(bucket, { keyed, perMin: lim.perMin, burst: lim.burst, tokens: lim.burst, refilledAt: Date.now(), server: null });
+}
+
+function refill(bucket, now) {
+    const add = ((now - bucket.refilledAt) / 60_000) * bucket.perMin;
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + add);
+    bucket.refilledAt = now;
+}
+
+// Remaining budget for the UI: { limit, remaining, resetAt, blockedUntil, queued }
+export function getRequestBudget(ctx = browserContext) {
+    const bucket = ctx.limiter;
+    refill(bucket, Date.now());
+    const srv = bucket.server;
+    return {
+        limit: srv?.limit ?? bucket.perMin,
+        remaining: srv && srv.resetAt > Date.now() ? srv.remaining : Math.floor(bucket.tokens),
+        resetAt: srv?.resetAt || null,
+        blockedUntil: bucket.blockedUntil > Date.now() ? bucket.blockedUntil : 0,
+        queued: bucket.queued,
+    };
+}
+
+// fn(budget) whenever the budget changes. Returns unsubscribe.
+export function onRequestBudgetChange(fn, ctx = browserContext) {
+    ctx.limiter.listeners.add(fn);
+    return () => ctx.limiter.listeners.delete(fn);
+}
+
+function emitBudget(ctx) {
+    const b = getRequestBudget(ctx);
+    for (const fn of ctx.limiter.listeners) {
+        try {
+            fn(b);
+        } catch { }
+    }
+}
+
+// Wait for a token (and any server-imposed block), then take it.
+async function acquireToken(state, ctx, signal = null) {
+    const bucket = ctx.limiter;
+    sizeBucket(bucket, state);
+    bucket.queued++;
+    try {
+        while (true) {
+            if (signal?.aborted) throw abortReason(signal);
+            const now = Date.now();
+            refill(bucket, now);
+
+            const srv = bucket.server;
+            const serverWait = srv && srv.remaining <= 0 && srv.resetAt > now ? srv.resetAt - now : 0;
+            const wait = Math.max(bucket.blockedUntil - now, serverWait);
+            if (wait <= 0 && bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                if (srv) srv.remaining--;
+                return;
+            }
+            const refillWait = bucket.tokens >= 1 ? 0 : ((1 - bucket.tokens) / bucket.perMin) * 60_000;
+            emitBudget(ctx);
+            await sleep(Math.max(wait, refillWait, 50), signal);
+        }
+    } finally {
+        bucket.queued--;
+        emitBudget(ctx);
+    }
+}
+
+// Retry-After: seconds or an HTTP date
+function parseRetryAfter(v) {
+    if (!v) return 0;
+    const sec = Number(v);
+    if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+    const t = Date.parse(v);
+    return Number.isFinite(t) ? Math.max(0, t - Date.now()) : 0;
+}
+
+function readRateLimitHeaders(bucket, res) {
+    const h = res.headers;
+    const limit = Number(h.get("x-ratelimit-limit"));
+    const remaining = Number(h.get("x-ratelimit-remaining"));
+    const reset = Number(h.get("x-ratelimit-reset")); // epoch seconds
+    if (h.get("x-ratelimit-remaining") == null || !Number.isFinite(remaining)) return;
+    bucket.server = {
+        limit: Number.isFinite(limit) && limit > 0 ? limit : bucket.perMin,
+        remaining,
+        resetAt: Number.isFinite(reset) && reset > 0 ? reset * 1000 : Date.now() + 60_000,
+    };
+    if (Number.isFinite(limit) && limit > 0 && limit !== bucket.perMin) {
+        bucket.perMin = limit;
+        bucket.burst = Math.max(1, Math.min(bucket.burst, limit));
+    }
+}
+
+function backoffMs(attempt) {
+    const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return exp / 2 + Math.random() * (exp / 2);
+}
+
+// ctx.fetch() through ctx.limiter (unless ctx.rateLimit is off). Resolves with the final
+// Response (ok or not) once retries are used up; network errors rethrow after the last attempt.
+export async function scheduledFetch(state, url, init = {}, ctx = browserContext) {
+    for (let attempt = 0; ; attempt++) {
+        if (ctx.rateLimit) await acquireToken(state, ctx, init.signal);
+
+        let res;
+        try {
+            res = await ctx.fetch(url, init);
+        } catch (err) {
+            const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+            if (init.signal?.aborted || offline || attempt >= MAX_NETWORK_RETRIES) throw err;
+            await sleep(backoffMs(attempt), init.signal);
+            continue;
+        }
+
+        readRateLimitHeaders(ctx.limiter, res);
+        const retryable = res.status === 429 || res.status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) {
+            emitBudget(ctx);
+            return res;
+        }
+
+        const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+        if (res.status === 429) ctx.limiter.blockedUntil = Math.max(ctx.limiter.blockedUntil, Date.now() + retryAfter);
+        emitBudget(ctx);
+        await res.body?.cancel?.().catch(() => { });
+        await sleep(Math.max(retryAfter, backoffMs(attempt)), init.signal);
+    }
+}
+
+/* ---------------- Record / replay ---------------- */
+
+// A session is every API response fetchJson returned while building one plan, keyed by
+// request URL (params included, api_key excluded), plus the plan's "now" and settings.
+// While recording or replaying, the response caches are bypassed: recordings come out
+// complete, and replays are answered only from the session.
+// Both live on the context (ctx.session):
+//   recording  { name, startedAt, entries: Map<key, { status, body?, text? }> } or null
+//   replaying  { name, recordedAt, now: Date, state, entries: Map } or null
+const SESSION_VERSION = 1;
+
+function sessionActive(ctx) {
+    return !!(ctx.session.recording || ctx.session.replaying);
+}
+
+// Everything in memory that would answer without a fresh fetchJson: lookups, validators, and
+// requests already in flight (their callers still get them, later calls start over).
+function resetMemoryCaches(ctx) {
+    for (const m of Object.values(ctx.memo)) m.clear();
+    ctx.inflight.clear();
+    ctx.validators.clear();
+}
+
+export function startRecording(name, ctx = browserContext) {
+    ctx.session.recording = { name: String(name || "session"), startedAt: ctx.clock.now().getTime(), entries: new Map() };
+    resetMemoryCaches(ctx);
+}
+
+// Ends the recording; returns the session object to save as JSON (null if none was running).
+// now: the plan's start; state: the settings it was planned with.
+export function stopRecording({ now, state } = {}, ctx = browserContext) {
+    const r = ctx.session.recording;
+    ctx.session.recording = null;
+    if (!r) return null;
+    const { apiKey, ...settings } = state || {};
+    return {
+        version: SESSION_VERSION,
+        name: r.name,
+        recordedAt: new Date(r.startedAt).toISOString(),
+        now: (now || new Date(r.startedAt)).toISOString(),
+        state: settings,
+        entries: [...r.entries].map(([key, e]) => ({ key, ...e })),
+    };
+}
+
+// Serve fetchJson from a recorded session (parsed JSON) until stopReplay()
+export function startReplay(session, ctx = browserContext) {
+    if (session?.version !== SESSION_VERSION || !Array.isArray(session.entries) || !session.now) {
+        throw new Error("Not a recorded session file");
+    }
+    ctx.session.replaying = {
+        name: session.name || "session",
+        recordedAt: session.recordedAt || null,
+        now: new Date(session.now),
+        state: session.state || {},
+        entries: new Map(session.entries.map(({ key, ...e }) => [key, e])),
+    };
+    closePredictionStreams(ctx);
+    resetMemoryCaches(ctx);
+    return replaySession(ctx);
+}
+
+export function stopReplay(ctx = browserContext) {
+    ctx.session.replaying = null;
+    resetMemoryCaches(ctx);
+}
+
+// { name, recordedAt, now, state } while replaying, else null
+export function replaySession(ctx = browserContext) {
+    if (!ctx.session.replaying) return null;
+    const { name, recordedAt, now, state } = ctx.session.replaying;
+    return { name, recordedAt, now, state };
+}
+
+function httpError(status, statusText, text) {
+    const err = new Error(`HTTP ${status} ${statusText}\n${text}`.trim());
+    err.status = status;
+    return err;
+}
+
+function replayResponse(ctx, key) {
+    const e = ctx.session.replaying.entries.get(key);
+    if (!e) throw httpError(404, "Not in replay session", key);
+    if (e.status >= 400) throw httpError(e.status, "", e.text || "");
+    return e.body;
+}
+
+/* ---------------- Conditional requests ---------------- */
+
+// Last body + validators per request URL (params included, api_key excluded), kept on the
+// context. With ctx.conditional, fetchJson sends If-None-Match / If-Modified-Since when it has
+// them and reuses the body on 304, so the 60-second refreshes of predictions, alerts and each
+// schedule page mostly come back empty. Browsers leave this to their HTTP cache: the headers
+// aren't CORS-safelisted, and a preflight per request would cost more budget than it saves.
+const VALIDATOR_MAX_ENTRIES = 200;
+
+function validatorGet(ctx, key) {
+    const validators = ctx.validators; // key -> { etag, lastModified, body }
+    const v = validators.get(key);
+    if (!v) return null;
+    // keep recently used entries at the end (Map order = LRU order)
+    validators.delete(key);
+    validators.set(key, v);
+    return v;
+}
+
+function validatorSet(ctx, key, res, body) {
+    const validators = ctx.validators;
+    const etag = res.headers.get("etag");
+    const lastModified = res.headers.get("last-modified");
+    validators.delete(key);
+    if (!etag && !lastModified) return;
+    validators.set(key, { etag, lastModified, body });
+    while (validators.size > VALIDATOR_MAX_ENTRIES) validators.delete(validators.keys().next().value);
+}
+
+export function clearConditionalCache(ctx = browserContext) {
+    ctx.validators.clear();
+}
+
+/* ---------------- Single-flight ---------------- */
+
+// Identical requests (same URL and API key) in flight at the same time share one fetch, so
+// parallel loaders asking for the same child stops or schedule page cost one request. Each
+// caller still gives up on its own signal; the shared fetch is aborted once all of them have.
+function singleFlight(ctx, key, start) {
+    const signal = ctx.signal;
+    if (signal?.aborted) return Promise.reject(abortReason(signal));
+
+    let f = ctx.inflight.get(key);
+    if (!f) {
+        const ctrl = new AbortController();
+        f = { ctrl, callers: 0, promise: null };
+        f.promise = start(ctrl.signal).finally(() => {
+            if (ctx.inflight.get(key) === f) ctx.inflight.delete(key);
+        });
+        ctx.inflight.set(key, f);
+    }
+    f.callers++;
+    if (!signal) return f.promise;
+
+    const shared = f;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            reject(abortReason(signal));
+            if (--shared.callers > 0) return;
+            if (ctx.inflight.get(key) === shared) ctx.inflight.delete(key);
+            shared.ctrl.abort();
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        shared.promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+    });
+}
+
+export async function fetchJson(state, url, params = null, ctx = browserContext) {
     const u = new URL(url);
     if (params) for (const [k, v] of Object.entries(params)) u.searchParams.set(k, v);
 
-    const headers = { Accept: "application/vnd.api+json" };
+    const key = u.toString();
+    if (ctx.session.replaying) return replayResponse(ctx, key);
     if (state?.apiKey) {
         u.searchParams.set("api_key", state.apiKey);
     }
+    return singleFlight(ctx, u.toString(), (signal) => fetchJsonOnce(state, key, u.toString(), signal, ctx));
+}
+
+// One request for fetchJson: conditional headers and 304 reuse (ctx.conditional), recording
+async function fetchJsonOnce(state, key, url, signal, ctx) {
+    const cached = ctx.conditional ? validatorGet(ctx, key) : null;
 
-    const res = await fetch(u.toString(), { headers });
+    const headers = { Accept: "application/vnd.api+json" };
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+    const res = await scheduledFetch(state, url, { headers, signal }, ctx);
+    const recording = ctx.session.recording;
+    if (res.status === 304 && cached) {
+        recording?.entries.set(key, { status: 200, body: cached.body });
+        return cached.body;
+    }
     if (!res.ok) {
         const text = await res.text().catch(() => "");
-        throw new Error(`HTTP ${res.status} ${res.statusText}\n${text}`.trim());
+        recording?.entries.set(key, { status: res.status, text });
+        const err = httpError(res.status, res.statusText, text);
+        err.retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+        throw err;
     }
-    return await res.json();
+    const body = await res.json();
+    if (ctx.conditional) validatorSet(ctx, key, res, body);
+    recording?.entries.set(key, { status: res.status, body });
+    return body;
 }
 
 
@@ -184,14 +836,28 @@ function buildStopParentMap(included) {
     return m;
 }
 
-export async function fetchAllWithIncluded(state, path, params) {
+// Map<tripId, { dir, patternId }> from included trip resources
+function buildTripInfoMap(included) {
+    const m = new Map();
+    for (const inc of included || []) {
+        if (inc.type !== "trip" || !inc.id) continue;
+        const dir = inc.attributes?.direction_id;
+        m.set(inc.id, {
+            dir: Number.isFinite(dir) ? dir : null,
+            patternId: inc.relationships?.route_pattern?.data?.id || null,
+        });
+    }
+    return m;
+}
+
+export async function fetchAllWithIncluded(state, path, params, ctx = browserContext) {
     let url = `${BASE}${path}`;
     let p = { ...params };
     const out = [];
     const includedByKey = new Map(); // `${type}:${id}` -> resource
 
     while (true) {
-        const payload = await fetchJson(state, url, p);
+        const payload = await fetchJson(state, url, p, ctx);
         out.push(...(payload.data || []));
 
         for (const inc of payload.included || []) {
@@ -208,13 +874,13 @@ export async function fetchAllWithIncluded(state, path, params) {
     return { data: out, included: [...includedByKey.values()] };
 }
 
-export async function fetchAll(state, path, params) {
+export async function fetchAll(state, path, params, ctx = browserContext) {
     let url = `${BASE}${path}`;
     let p = { ...params };
     const out = [];
 
     while (true) {
-        const payload = await fetchJson(state, url, p);
+        const payload = await fetchJson(state, url, p, ctx);
         out.push(...(payload.data || []));
         const next = payload.links && payload.links.next;
         if (!next) break;
@@ -223,10 +889,7 @@ export async function fetchAll(state, path, params) {
     }
     return out;
 }
-const MIN = 60 * 1000;
-const SCHEDULE_TTL = 60 * MIN;          // stored up to 1 hour
-const SCHEDULE_WINDOW_MIN = 60;         // window size + reset threshold
-const SCHEDULES_ONEKEY = "schedules:onekey"; // one localStorage entry total
+const SCHEDULE_WINDOW_MIN = 60;         // window size + reuse threshold
 
 function minutesFromHHMM(hhmm) {
     const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || "");
@@ -247,143 +910,573 @@ function hhmmFromMinutes(totalMinutes) {
     return `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`;
 }
 
-function readSchedulesOneKey() {
-    return lsGetEntry(SCHEDULES_ONEKEY) || null; // uses your lsGetEntry()
-}
-
-function writeSchedulesOneKey(obj) {
-    try {
-        const raw = JSON.stringify(obj);
-        if (raw.length > LS_MAX_BYTES) return;
-        localStorage.setItem(lsKey(SCHEDULES_ONEKEY), raw);
-    } catch { }
-}
-
 /**
- * One LS entry with per-group slots, but ONLY min_time controls reuse.
+ * One cache entry per leg slot + service date + window start; only min_time controls reuse.
  * On MISS, fetches a fixed window: [min_time, min_time + 60min]
- * On HIT, returns cached value even if caller's max_time moved forward.
+ * On HIT (an entry starting at most 60 min before min_time), returns it even if the caller's
+ * max_time moved forward.
  */
-async function fetchSchedulesOneKeyCached(state, groupName, params) {
+async function fetchSchedulesCached(state, slot, params, ctx) {
     const reqDate = params?.["filter[date]"] || "";
     const reqMinStr = params?.["filter[min_time]"] || "";
     const reqMin = minutesFromHHMM(reqMinStr);
 
-    const reqOverrideKey = normalizeStartOverride(state.startOverride);
-
     // If we can't parse min_time, don't cache (just fetch exact params)
     if (reqMin == null) {
-        return await fetchAllWithIncluded(state, "/schedules", params);
+        return await fetchAllWithIncluded(state, "/schedules", params, ctx);
     }
 
-    const cache = readSchedulesOneKey(); // lsGetEntry(SCHEDULES_ONEKEY)
-    const cacheOverrideKey = cache?.overrideKey || "";
-
-    // If startOverride fingerprint changed, treat as a hard reset.
-    // (Still only ONE LS entry — we just overwrite it.)
-    const overrideMismatch = cache && cacheOverrideKey !== reqOverrideKey;
-
-    const slot = !overrideMismatch ? cache?.groups?.[groupName] : null;
-
-    if (slot?.value && slot.date === reqDate && typeof slot.minTime === "string") {
-        const cachedMin = minutesFromHHMM(slot.minTime);
-        if (cachedMin != null) {
-            const delta = reqMin - cachedMin;
-
-            // Your rule:
-            // - reset if reqMin < cachedMin
-            // - reset if reqMin > cachedMin + 60
-            if (delta >= 0 && delta <= SCHEDULE_WINDOW_MIN) {
-                return slot.value; // HIT
-            }
-        }
+    const prefix = `schedules|${slot}|${reqDate}|`;
+    let best = null;
+    for (const key of await cachedKeys(ctx, prefix)) {
+        const delta = reqMin - minutesFromHHMM(key.slice(prefix.length));
+        if (delta >= 0 && delta <= SCHEDULE_WINDOW_MIN && (!best || delta < best.delta)) best = { key, delta };
+    }
+    if (best) {
+        const hit = await cacheGet(ctx, "schedules", best.key);
+        if (hit) return hit;
+    } else {
+        if (!sessionActive(ctx)) ctx.cache.miss("schedules");
     }
 
     // MISS: fetch a fixed 60-minute window starting at reqMin
-    const fetchMinStr = reqMinStr;
     const fetchMaxStr = params["filter[max_time]"] || hhmmFromMinutes(reqMin + SCHEDULE_WINDOW_MIN);
-
-    const fetchParams = {
+    const value = await fetchAllWithIncluded(state, "/schedules", {
         ...params,
-        "filter[min_time]": fetchMinStr,
+        "filter[min_time]": reqMinStr,
         "filter[max_time]": fetchMaxStr,
-    };
+    }, ctx);
+
+    await cacheSet(ctx, "schedules", prefix + reqMinStr, value);
+    return value;
+}
+
+const STOP_TTL = CACHE_TTL.stops;
+
+export async function childStops(state, parentStopId, ctx = browserContext) {
+    // fast path: in-memory for this session
+    const memo = ctx.memo.childStops;
+    if (memo.has(parentStopId)) return memo.get(parentStopId);
+
+    const set = await withOfflineFallback(
+        async () => {
+            const payload = await fetchJsonCachedPersistent(
+                state,
+                `${BASE}/stops/${parentStopId}`,
+                {
+                    include: "child_stops",
+                    "fields[stop]": "parent_station", // keep payload small
+                },
+                STOP_TTL,
+                { includeApiKeyInCacheKey: false },
+                ctx
+            );
+
+            const ids = new Set();
+            if (payload.data?.id) ids.add(payload.data.id);
+            for (const inc of payload.included || []) {
+                if (inc.type === "stop" && inc.id) ids.add(inc.id);
+            }
+            return ids;
+        },
+        (feed) => gtfsChildStops(feed, parentStopId),
+        ctx
+    );
 
-    const value = await fetchAllWithIncluded(state, "/schedules", fetchParams);
+    memo.set(parentStopId, set);
+    return set;
+}
 
-    // Write back into the ONE localStorage entry.
-    // If override changed, drop all groups (hard reset).
-    const next =
-        cache?.groups && !overrideMismatch
-            ? cache
-            : { expiresAt: 0, savedAt: 0, overrideKey: reqOverrideKey, groups: {} };
+/* ---------------- Home stop search ---------------- */
 
-    next.expiresAt = Date.now() + SCHEDULE_TTL;
-    next.savedAt = Date.now();
-    next.overrideKey = reqOverrideKey;
+// Every stop served by `routes` (bus leg), once per direction, for the home stop picker:
+// [{ id, name, description, directionId, direction, parentId, parentName }]
+export async function loadRouteStops(state, routes, ctx = browserContext) {
+    const routeCsv = [...new Set(routes)].sort().join(",");
+    const memo = ctx.memo.routeStops;
+    if (memo.has(routeCsv)) return memo.get(routeCsv);
 
-    next.groups[groupName] = {
-        date: reqDate,
-        minTime: fetchMinStr, // fingerprint (plus overrideKey at top level)
-        maxTime: fetchMaxStr, // informational/debug only
-        value,
+    // Direction labels ("Outbound to Belmont Center") from the first route that has them
+    const routesPayload = await fetchJsonCachedPersistent(
+        state,
+        `${BASE}/routes`,
+        { "filter[id]": routeCsv, "fields[route]": "direction_names,direction_destinations" },
+        STOP_TTL,
+        {},
+        ctx
+    );
+    const dirLabel = (dir) => {
+        for (const r of routesPayload.data || []) {
+            const name = r.attributes?.direction_names?.[dir];
+            const dest = r.attributes?.direction_destinations?.[dir];
+            if (name || dest) return [name, dest && `to ${dest}`].filter(Boolean).join(" ");
+        }
+        return dir === 0 ? "Outbound" : "Inbound";
     };
 
-    writeSchedulesOneKey(next);
-    return value;
+    const out = [];
+    for (const dir of [0, 1]) {
+        const payload = await fetchJsonCachedPersistent(
+            state,
+            `${BASE}/stops`,
+            {
+                "filter[route]": routeCsv,
+                "filter[direction_id]": String(dir),
+                include: "parent_station",
+                "fields[stop]": "name,description,parent_station",
+            },
+            STOP_TTL,
+            {},
+            ctx
+        );
+
+        const parents = new Map();
+        for (const inc of payload.included || []) {
+            if (inc.type === "stop" && inc.id) parents.set(inc.id, inc.attributes?.name || inc.id);
+        }
+
+        for (const st of payload.data || []) {
+            const parentId = st.relationships?.parent_station?.data?.id || null;
+            out.push({
+                id: st.id,
+                name: st.attributes?.name || st.id,
+                description: st.attributes?.description || "",
+                directionId: dir,
+                direction: dirLabel(dir),
+                parentId,
+                parentName: parentId ? parents.get(parentId) || parentId : "",
+            });
+        }
+    }
+
+    memo.set(routeCsv, out);
+    return out;
 }
 
+// Case-insensitive match on name, description, parent station or stop id
+export function filterRouteStops(stops, query, limit = 12) {
+    const q = String(query || "").trim().toLowerCase();
+    if (!q) return [];
+    return stops
+        .filter((s) => [s.name, s.description, s.parentName, s.id].some((x) => String(x).toLowerCase().includes(q)))
+        .slice(0, limit);
+}
 
+/* ---------------- Route patterns ---------------- */
 
-const STOP_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const PATTERN_TTL = CACHE_TTL.route_patterns;
 
-export async function childStops(state, parentStopId) {
-    // fast path: in-memory for this session
-    if (childStopCache.has(parentStopId)) return childStopCache.get(parentStopId);
+// Route patterns with their representative trip's stops in order:
+// Map<patternId, { id, route, dir, typicality, name, stops: [stopId] }>
+export async function loadRoutePatterns(state, routes, ctx = browserContext) {
+    const routeCsv = [...new Set(routes)].sort().join(",");
+    const memo = ctx.memo.routePatterns;
+    if (memo.has(routeCsv)) return memo.get(routeCsv);
 
-    const payload = await fetchJsonCachedPersistent(
+    const patterns = await fetchJsonCachedPersistent(
         state,
-        `${BASE}/stops/${parentStopId}`,
+        `${BASE}/route_patterns`,
         {
-            include: "child_stops",
-            "fields[stop]": "parent_station", // keep payload small
+            "filter[route]": routeCsv,
+            "fields[route_pattern]": "direction_id,typicality,name",
         },
-        STOP_TTL,
-        { includeApiKeyInCacheKey: false }
+        PATTERN_TTL,
+        {},
+        ctx
     );
 
-    const set = new Set();
-    if (payload.data?.id) set.add(payload.data.id);
-    for (const inc of payload.included || []) {
-        if (inc.type === "stop" && inc.id) set.add(inc.id);
+    const repTrip = new Map(); // tripId -> patternId
+    const out = new Map();
+    for (const rp of patterns.data || []) {
+        const tripId = rp.relationships?.representative_trip?.data?.id;
+        if (tripId) repTrip.set(tripId, rp.id);
+        out.set(rp.id, {
+            id: rp.id,
+            route: rp.relationships?.route?.data?.id || null,
+            dir: rp.attributes?.direction_id ?? null,
+            typicality: rp.attributes?.typicality ?? null,
+            name: rp.attributes?.name || rp.id,
+            stops: [],
+        });
     }
 
-    childStopCache.set(parentStopId, set);
-    return set;
+    if (repTrip.size) {
+        const trips = await fetchJsonCachedPersistent(
+            state,
+            `${BASE}/trips`,
+            {
+                "filter[id]": [...repTrip.keys()].sort().join(","),
+                include: "stops",
+                "fields[trip]": "direction_id",
+                "fields[stop]": "parent_station",
+            },
+            PATTERN_TTL,
+            {},
+            ctx
+        );
+        for (const t of trips.data || []) {
+            const pat = out.get(repTrip.get(t.id));
+            if (pat) pat.stops = (t.relationships?.stops?.data || []).map((x) => x.id);
+        }
+    }
+
+    memo.set(routeCsv, out);
+    return out;
+}
+
+/* ---------------- Vehicles ---------------- */
+
+export const VEHICLE_STATUSES = ["INCOMING_AT", "STOPPED_AT", "IN_TRANSIT_TO"];
+
+// occupancy_status -> crowding level: 0 not crowded, 1 some crowding, 2 crowded
+export const OCCUPANCY_LEVELS = {
+    EMPTY: 0,
+    MANY_SEATS_AVAILABLE: 0,
+    FEW_SEATS_AVAILABLE: 1,
+    STANDING_ROOM_ONLY: 1,
+    CRUSHED_STANDING_ROOM_ONLY: 2,
+    FULL: 2,
+    NOT_ACCEPTING_PASSENGERS: 2,
+};
+
+// Vehicle-wide crowding; trains average their cars (per-car crowding), buses report one status.
+// { level, status, carriages: [{ label, status, level, pct }] } or null without data.
+function vehicleCrowding(a) {
+    const carriages = (a.carriages || []).map((c) => ({
+        label: c.label || "",
+        status: c.occupancy_status || null,
+        level: OCCUPANCY_LEVELS[c.occupancy_status] ?? null,
+        pct: Number.isFinite(c.occupancy_percentage) ? c.occupancy_percentage : null,
+    }));
+    const known = carriages.filter((c) => c.level != null);
+    const level = known.length
+        ? Math.round(known.reduce((sum, c) => sum + c.level, 0) / known.length)
+        : OCCUPANCY_LEVELS[a.occupancy_status] ?? null;
+    return level == null ? null : { level, status: a.occupancy_status || null, carriages };
+}
+
+// Each trip's stops in order (child stop ids), fetched once per trip per context
+async function loadTripStops(state, tripIds, ctx) {
+    const memo = ctx.memo.tripStops;
+    const missing = [...new Set(tripIds)].filter((id) => !memo.has(id)).sort();
+    if (missing.length) {
+        const trips = await fetchJsonCachedPersistent(
+            state,
+            `${BASE}/trips`,
+            {
+                "filter[id]": missing.join(","),
+                include: "stops",
+                "fields[trip]": "direction_id",
+                "fields[stop]": "parent_station",
+            },
+            CACHE_TTL.trips,
+            {},
+            ctx
+        );
+        for (const t of trips.data || []) memo.set(t.id, (t.relationships?.stops?.data || []).map((x) => x.id));
+        for (const id of missing) if (!memo.has(id)) memo.set(id, []);
+    }
+    return new Map(tripIds.map((id) => [id, memo.get(id) || []]));
+}
+
+// Live positions for the trips a plan shows:
+// Map<tripId, { id, label, status, stopId, stopName, seq, updatedAt, crowding, stops: [stopId] }>
+// status is one of VEHICLE_STATUSES; crowding see vehicleCrowding; stops is the trip's stop
+// list (empty if unknown), so callers can count stops between the vehicle and where they board.
+export async function loadVehiclesForTrips(state, tripIds, ctx = browserContext) {
+    const ids = [...new Set(tripIds)].filter(Boolean).sort();
+    const out = new Map();
+    if (!ids.length) return out;
+
+    const { data, included } = await fetchAllWithIncluded(state, "/vehicles", {
+        "filter[trip]": ids.join(","),
+        include: "stop",
+        "fields[vehicle]": "label,current_status,current_stop_sequence,updated_at,occupancy_status,carriages",
+        "fields[stop]": "name",
+    }, ctx);
+
+    const stopNames = new Map();
+    for (const inc of included) {
+        if (inc.type === "stop") stopNames.set(inc.id, inc.attributes?.name || inc.id);
+    }
+
+    for (const v of data) {
+        const tripId = v.relationships?.trip?.data?.id;
+        if (!tripId) continue;
+        const a = v.attributes || {};
+        const stopId = v.relationships?.stop?.data?.id || null;
+        out.set(tripId, {
+            id: v.id,
+            label: a.label || v.id,
+            status: VEHICLE_STATUSES.includes(a.current_status) ? a.current_status : null,
+            stopId,
+            stopName: stopId ? stopNames.get(stopId) || stopId : null,
+            seq: Number.isFinite(a.current_stop_sequence) ? a.current_stop_sequence : null,
+            updatedAt: parseIso(a.updated_at),
+            crowding: vehicleCrowding(a),
+            stops: [],
+        });
+    }
+
+    // Stop lists only matter for trips that have a vehicle out
+    if (out.size) {
+        const stops = await loadTripStops(state, [...out.keys()], ctx).catch(() => new Map());
+        for (const [tripId, v] of out) v.stops = stops.get(tripId) || [];
+    }
+    return out;
 }
 
 /* ---------------- Predictions helpers ---------------- */
 
-export async function loadPredictions(state, routeCsv, stopCsv) {
-    const { data, included } = await fetchAllWithIncluded(state, "/predictions", {
+function predictionParams(routeCsv, stopCsv, withTrips) {
+    return {
         "filter[route]": routeCsv,
         "filter[stop]": stopCsv,
 
-        "page[limit]": "250",
-
         // keep include stop, but only ask for parent_station
-        "include": "stop",
+        "include": withTrips ? "stop,trip" : "stop",
         "fields[stop]": "parent_station",
+        ...(withTrips ? { "fields[trip]": "direction_id" } : {}),
 
         // only the prediction fields you read in buildTripStopTimesFromPred
-        "fields[prediction]": "arrival_time,departure_time,stop_sequence,direction_id",
+        "fields[prediction]": "arrival_time,departure_time,stop_sequence,direction_id,schedule_relationship,status",
+    };
+}
+
+// withTrips: also include each trip's direction + route pattern (tripInfo)
+// With state.streamPredictions (on a context with streams), a live event-stream store answers
+// once it has its first reset.
+export async function loadPredictions(state, routeCsv, stopCsv, { withTrips = false } = {}, ctx = browserContext) {
+    if (state?.streamPredictions && ctx.streams && !sessionActive(ctx)) {
+        const live = livePredictions(state, routeCsv, stopCsv, withTrips, ctx);
+        if (live) return live;
+    }
+
+    const { data, included } = await fetchAllWithIncluded(state, "/predictions", {
+        ...predictionParams(routeCsv, stopCsv, withTrips),
+        "page[limit]": "250",
+    }, ctx);
+
+    return { data, stopParent: buildStopParentMap(included), tripInfo: buildTripInfoMap(included) };
+}
+
+/* ---------------- Streaming predictions ---------------- */
+
+// One text/event-stream per route/stop set (the same sets loadPredictions polls). Each keeps
+// a live store of prediction + included resources; after an error the set goes back to
+// polling for STREAM_RETRY_MS before trying again.
+
+const STREAM_RETRY_MS = 5 * 60 * 1000;
+const STREAM_IDLE_MS = 10 * 60 * 1000; // close streams the planner stopped asking for
+// Open streams and their listeners are per context: ctx.streams = { open: Map<key, stream>,
+// listeners, statusListeners }.
+
+// Apply one V3 streaming event to a store: Map<`${type}:${id}`, resource>.
+// reset carries the full list; add/update one resource; remove only { type, id }.
+export function applyStreamEvent(store, event, data) {
+    const key = (r) => `${r.type}:${r.id}`;
+    if (event === "reset") {
+        store.clear();
+        for (const r of data || []) if (r?.type && r?.id) store.set(key(r), r);
+        return true;
+    }
+    if ((event === "add" || event === "update") && data?.type && data?.id) {
+        store.set(key(data), data);
+        return true;
+    }
+    if (event === "remove" && data?.type && data?.id) {
+        store.delete(key(data));
+        return true;
+    }
+    return false;
+}
+
+// Read a text/event-stream body; onEvent(eventName, dataText) per message.
+export async function readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "";
+
+    const dispatch = (block) => {
+        let event = "message";
+        const data = [];
+        for (const line of block.split("\n")) {
+            if (!line || line.startsWith(":")) continue;
+            const i = line.indexOf(":");
+            const field = i < 0 ? line : line.slice(0, i);
+            const value = i < 0 ? "" : line.slice(i + 1).replace(/^ /, "");
+            if (field === "event") event = value;
+            else if (field === "data") data.push(value);
+        }
+        if (data.length) onEvent(event, data.join("\n"));
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true }).replace(/\r\n?/g, "\n");
+        let cut;
+        while ((cut = buf.indexOf("\n\n")) >= 0) {
+            dispatch(buf.slice(0, cut));
+            buf = buf.slice(cut + 2);
+        }
+    }
+    if (buf.trim()) dispatch(buf);
+}
+
+function snapshotFromStore(store) {
+    const data = [];
+    const included = [];
+    for (const r of store.values()) (r.type === "prediction" ? data : included).push(r);
+    return { data, stopParent: buildStopParentMap(included), tripInfo: buildTripInfoMap(included) };
+}
+
+// Open a stream for one route/stop set. base: API root (a local stand-in server for testing);
+// the request goes through ctx.fetch, paced like any other unless ctx.rateLimit is off.
+// onChange() runs after every event once the first reset has arrived; onError(err) once the
+// stream fails or ends (stream.error keeps it).
+export function openPredictionStream(state, routeCsv, stopCsv, { withTrips = false, base = BASE, onChange = null, onError = null } = {}, ctx = browserContext) {
+    const u = new URL(`${base}/predictions`);
+    for (const [k, v] of Object.entries(predictionParams(routeCsv, stopCsv, withTrips))) u.searchParams.set(k, v);
+    if (state?.apiKey) u.searchParams.set("api_key", state.apiKey);
+
+    const ctrl = new AbortController();
+    const stream = {
+        store: new Map(),
+        ready: false,
+        failedAt: 0,
+        error: null,
+        lastUsedMs: Date.now(),
+        close: () => ctrl.abort(),
+    };
+
+    stream.done = (async () => {
+        if (ctx.rateLimit) await acquireToken(state, ctx, ctrl.signal);
+        const res = await ctx.fetch(u.toString(), { headers: { Accept: "text/event-stream" }, signal: ctrl.signal });
+        if (!res.ok || !res.body) throw new Error(`HTTP ${res.status} ${res.statusText}`.trim());
+
+        await readEventStream(res.body, (event, text) => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch {
+                return;
+            }
+            if (!applyStreamEvent(stream.store, event, data)) return;
+            if (event === "reset") stream.ready = true;
+            if (stream.ready) onChange?.();
+        });
+        throw new Error("Prediction stream ended");
+    })().catch((err) => {
+        if (ctrl.signal.aborted) return;
+        stream.ready = false;
+        stream.failedAt = Date.now();
+        stream.error = err;
+        onError?.(err);
     });
 
-    return { data, stopParent: buildStopParentMap(included) };
+    return stream;
+}
+
+function notifyStreamListeners(ctx) {
+    for (const fn of ctx.streams.listeners) {
+        try {
+            fn();
+        } catch { }
+    }
+}
+
+function emitStreamStatus(ctx) {
+    const status = getPredictionStreamStatus(ctx);
+    for (const fn of ctx.streams.statusListeners) {
+        try {
+            fn(status);
+        } catch { }
+    }
+}
+
+// Snapshot from the live stream for this set, opening it if needed; null = poll instead.
+function livePredictions(state, routeCsv, stopCsv, withTrips, ctx) {
+    const key = `${routeCsv}|${stopCsv}|${withTrips ? "trips" : ""}|${state.apiKey || ""}`;
+    const predictionStreams = ctx.streams.open;
+    const now = Date.now();
+
+    for (const [k, st] of predictionStreams) {
+        if (k !== key && now - st.lastUsedMs > STREAM_IDLE_MS) {
+            st.close();
+            predictionStreams.delete(k);
+        }
+    }
+
+    let st = predictionStreams.get(key);
+    if (st?.failedAt && now - st.failedAt < STREAM_RETRY_MS) return null;
+    if (!st || st.failedAt) {
+        let wasReady = false;
+        st = openPredictionStream(state, routeCsv, stopCsv, {
+            withTrips,
+            onChange: () => {
+                if (!wasReady) emitStreamStatus(ctx);
+                wasReady = true;
+                notifyStreamListeners(ctx);
+            },
+            onError: () => emitStreamStatus(ctx),
+        }, ctx);
+        predictionStreams.set(key, st);
+        emitStreamStatus(ctx);
+    }
+
+    st.lastUsedMs = now;
+    return st.ready ? snapshotFromStore(st.store) : null;
+}
+
+// fn() after any live stream update (debounce on the caller's side). Returns unsubscribe.
+export function onPredictionStreamChange(fn, ctx = browserContext) {
+    ctx.streams?.listeners.add(fn);
+    return () => ctx.streams?.listeners.delete(fn);
+}
+
+// True when at least one stream is open and every open one is delivering.
+export function predictionStreamsLive(ctx = browserContext) {
+    const all = [...(ctx.streams?.open.values() || [])];
+    return all.length > 0 && all.every((st) => st.ready && !st.failedAt);
+}
+
+// For the status line: { streams, live, failed, error, retryAt } where failed counts the sets
+// polling after an error, error is the latest one's message and retryAt when it streams again.
+export function getPredictionStreamStatus(ctx = browserContext) {
+    const all = [...(ctx.streams?.open.values() || [])];
+    const failed = all.filter((st) => st.failedAt).sort((a, b) => b.failedAt - a.failedAt);
+    return {
+        streams: all.length,
+        live: all.filter((st) => st.ready && !st.failedAt).length,
+        failed: failed.length,
+        error: failed[0]?.error ? String(failed[0].error.message || failed[0].error) : null,
+        retryAt: failed.length ? Math.min(...failed.map((st) => st.failedAt)) + STREAM_RETRY_MS : null,
+    };
+}
+
+// fn(status) when a stream opens, starts delivering or fails. Returns unsubscribe.
+export function onPredictionStreamStatusChange(fn, ctx = browserContext) {
+    ctx.streams?.statusListeners.add(fn);
+    return () => ctx.streams?.statusListeners.delete(fn);
 }
 
+export function closePredictionStreams(ctx = browserContext) {
+    if (!ctx.streams) return;
+    for (const st of ctx.streams.open.values()) st.close();
+    ctx.streams.open.clear();
+    emitStreamStatus(ctx);
+}
+
+
+// Trip-level cancellation (some feeds only say so in the free-text status)
+function predCancelled(a) {
+    return a.schedule_relationship === "CANCELLED" || /^cancel/i.test(a.status || "");
+}
 
-// Build Map<tripId, { dir, stops: {name:{t, seq, arr, dep}} }>
+// Build Map<tripId, { dir, route, stops: {name:{t, seq, arr, dep}}, cancelled, skipped: {name:true} }>
+// Cancelled trips and skipped stops carry no times; they're flagged instead so the merge can
+// drop the scheduled times they'd otherwise fall back to.
 export function buildTripStopTimesFromPred(predData, stopSetsByName, predWindowMin = 120, stopParent = null, nowOverride = null) {
     const out = new Map();
     const now = nowOverride instanceof Date ? nowOverride : new Date();
@@ -399,23 +1492,34 @@ export function buildTripStopTimesFromPred(predData, stopSetsByName, predWindowM
         const effStopId = stopParent?.get(stopId) || stopId;
 
         const a = p.attributes || {};
+        const cancelled = predCancelled(a);
+        const skipped = a.schedule_relationship === "SKIPPED";
         const arr = parseIso(a.arrival_time);
         const dep = parseIso(a.departure_time);
         const t = arr || dep;
-        if (!t || !inHorizon(t)) continue;
+        if (!cancelled && !skipped && (!t || !inHorizon(t))) continue;
 
         const seq = Number.isFinite(a.stop_sequence) ? a.stop_sequence : null;
         const dir = Number.isFinite(a.direction_id) ? a.direction_id : null;
 
+        const route = p.relationships?.route?.data?.id || null;
+
         let rec = out.get(tripId);
         if (!rec) {
-            rec = { dir, stops: {} };
+            rec = { dir, route, stops: {}, cancelled: false, skipped: {} };
             out.set(tripId, rec);
         }
         if (rec.dir == null && dir != null) rec.dir = dir;
+        if (!rec.route && route) rec.route = route;
+        if (cancelled) rec.cancelled = true;
 
         for (const [name, set] of Object.entries(stopSetsByName)) {
             if (set && set.has(effStopId)) {
+                if (skipped) {
+                    rec.skipped[name] = true;
+                    continue;
+                }
+                if (cancelled) continue;
                 const prev = rec.stops[name];
                 if (!prev || t < prev.t) rec.stops[name] = { t, seq, arr, dep };
             }
@@ -446,107 +1550,166 @@ export function pairsFromTripStops(tripMap, fromName, toName) {
     return out;
 }
 
-// Map<tripId, { depHarv, arrDisp, home? }>
-export function busTripsFromPred(tripMap, includeHome) {
-    const out = new Map();
-    for (const [tripId, rec] of tripMap.entries()) {
-        const harv = rec.stops.harv;
-        if (!harv) continue;
+/* ---------------- Offline schedules (GTFS) ---------------- */
+
+// When the network is down, schedules and child stops come from the GTFS feed imported in
+// gtfs.js, shaped like the API responses so the loaders don't care. After a network failure
+// the network is skipped for OFFLINE_RETRY_MS (the scheduler's retries would stall each plan).
+// State is per context (ctx.offline): `until` (ctx.clock ms) and `served`, how many times GTFS
+// has answered; the feed comes from ctx.gtfs ({ loadFeed, stopTimes }, gtfs.js by default).
+const OFFLINE_RETRY_MS = 60 * 1000;
+
+// fetch() itself failed (TypeError), or the request was aborted by something other than the
+// caller's own signal (a timeout, the browser). HTTP errors aren't: a 429 or 5xx means MBTA is
+// there, and the scheduler's backoff handles it.
+function isNetworkFailure(err, ctx) {
+    if (err?.name === "TypeError") return true;
+    return (isAbortError(err) || err?.name === "TimeoutError") && !ctx.signal?.aborted;
+}
 
-        const depHarv = harv.dep || harv.arr || harv.t;
-        const arrHarv = harv.arr || harv.dep || harv.t;
+// Browser says offline, or a request failed on the network within OFFLINE_RETRY_MS
+function networkLikelyDown(ctx) {
+    return (typeof navigator !== "undefined" && navigator.onLine === false) || ctx.clock.now().getTime() < ctx.offline.until;
+}
 
-        const home = includeHome
-            ? (rec.stops.home?.arr || rec.stops.home?.dep || rec.stops.home?.t || null)
-            : null;
+// Plans should skip the network (predictions, alerts) and use the GTFS feed
+export async function offlineFallbackActive(ctx = browserContext) {
+    return !ctx.session.replaying && networkLikelyDown(ctx) && !!(await ctx.gtfs.loadFeed());
+}
 
-        out.set(tripId, { depHarv, arrDisp: arrHarv, home });
+async function withOfflineFallback(online, offline, ctx) {
+    const feed = !ctx.session.replaying && networkLikelyDown(ctx) ? await ctx.gtfs.loadFeed() : null;
+    if (!feed) {
+        try {
+            return await online();
+        } catch (err) {
+            if (ctx.session.replaying || !isNetworkFailure(err, ctx)) throw err;
+            ctx.offline.until = ctx.clock.now().getTime() + OFFLINE_RETRY_MS;
+            const fallback = await ctx.gtfs.loadFeed();
+            if (!fallback) throw err;
+            return await servedOffline(fallback, offline, ctx);
+        }
     }
-    return out;
+    return await servedOffline(feed, offline, ctx);
 }
 
-/* ---------------- Schedules loaders ---------------- */
-
-// [{tripId, fromT(park), toT(harv)}]
-export async function loadSchedulesRedPairs(state, cfg, serviceDate, parkKids, harvKids, minTime, maxTime) {
-    const stopCsv = csvFromAnySet(new Set([...parkKids, ...harvKids]));
-
-    const params = {
-        "filter[route]": cfg.redRoute,
-        "filter[stop]": stopCsv,
-        "filter[date]": serviceDate,
-        "filter[min_time]": minTime,
-        "filter[max_time]": maxTime,
-        "page[limit]": "450",
-        "include": "stop",
-        "fields[stop]": "parent_station",
-        "fields[schedule]": "arrival_time,departure_time,stop_sequence",
-    };
-
-    const { data, included } = await fetchSchedulesOneKeyCached(state, "redPairs", params);
-
-    const stopParent = buildStopParentMap(included);
-
-    const trips = new Map();
-    for (const item of data) {
-        const tripId = item.relationships?.trip?.data?.id;
-        const stopId = item.relationships?.stop?.data?.id;
-        if (!tripId || !stopId) continue;
-
-        const eff = stopParent.get(stopId) || stopId;
+async function servedOffline(feed, offline, ctx) {
+    const value = await offline(feed);
+    ctx.offline.served++;
+    return value;
+}
 
-        const t = bestTimeFromAttrs(item.attributes || {});
-        if (!t) continue;
+// Pass to offlineScheduleSource once the plan is built
+export function offlineMark(ctx = browserContext) {
+    return ctx.offline.served;
+}
 
-        const rawSeq = item.attributes?.stop_sequence;
-        const seq = rawSeq == null ? null : Number(rawSeq);
-        const seqOk = Number.isFinite(seq) ? seq : null;
+// Feed summary if GTFS answered anything since offlineMark() returned `mark` (i.e. while
+// building this plan), else null
+export async function offlineScheduleSource(mark, ctx = browserContext) {
+    return ctx.offline.served > mark ? gtfsFeedSummary(await ctx.gtfs.loadFeed()) : null;
+}
 
-        const rec = trips.get(tripId) || {};
-        const attrs = item.attributes || {};
-        if (parkKids.has(eff)) {
-            const t = schedOriginTime(attrs);
-            if (t) { rec.park_t = t; rec.park_seq = seqOk; }
-        }
-        if (harvKids.has(eff)) {
-            const t = schedDestTime(attrs);
-            if (t) { rec.harv_t = t; rec.harv_seq = seqOk; }
-        }
-        trips.set(tripId, rec);
+function gtfsChildStops(feed, parentStopId) {
+    if (!(parentStopId in feed.stops)) throw new Error(`GTFS feed has no stop ${parentStopId}`);
+    const set = new Set([parentStopId]);
+    for (const [id, parent] of Object.entries(feed.stops)) {
+        if (parent === parentStopId) set.add(id);
     }
+    return set;
+}
 
-    const out = [];
-    for (const [tripId, rec] of trips.entries()) {
-        if (!rec.park_t || !rec.harv_t) continue;
-        if (!(rec.park_t < rec.harv_t)) continue;
-        if (rec.park_seq != null && rec.harv_seq != null && !(rec.park_seq < rec.harv_seq)) continue;
-        out.push({ tripId, fromT: rec.park_t, toT: rec.harv_t });
+// Same { data, included } as /schedules for the loader's params (route/stop/date/min/max time)
+async function gtfsSchedules(feed, params, ctx) {
+    const routes = new Set(String(params["filter[route]"] || "").split(",").filter(Boolean));
+    const missing = [...routes].filter((r) => !feed.routes.includes(r));
+    if (missing.length) throw new Error(`GTFS feed was imported without ${missing.join(", ")}`);
+
+    const date = params["filter[date]"];
+    const lo = (minutesFromHHMM(params["filter[min_time]"]) ?? 0) * 60;
+    const hi = (minutesFromHHMM(params["filter[max_time]"]) ?? 47 * 60 + 59) * 60 + 59;
+    const base = serviceDayStart(date);
+    const iso = (sec) => (sec == null ? null : new Date(base + sec * 1000).toISOString());
+    const withTrips = String(params.include || "").includes("trip");
+
+    const active = new Map(); // serviceId -> bool
+    const data = [];
+    const included = new Map();
+    const stopTimes = await ctx.gtfs.stopTimes(String(params["filter[stop]"] || "").split(",").filter(Boolean));
+
+    for (const [stopId, rows] of stopTimes) {
+        for (const [tripId, arr, dep, seq] of rows) {
+            const trip = feed.trips[tripId];
+            if (!trip || !routes.has(trip[0])) continue;
+            const [route, service, dir, pattern] = trip;
+            if (!active.has(service)) active.set(service, gtfsServiceActive(feed, service, date));
+            if (!active.get(service)) continue;
+            const t = dep ?? arr;
+            if (t == null || t < lo || t > hi) continue;
+
+            data.push({
+                type: "schedule",
+                id: `gtfs-${tripId}-${seq}`,
+                attributes: { arrival_time: iso(arr), departure_time: iso(dep), stop_sequence: seq },
+                relationships: {
+                    route: { data: { type: "route", id: route } },
+                    stop: { data: { type: "stop", id: stopId } },
+                    trip: { data: { type: "trip", id: tripId } },
+                },
+            });
+            included.set(`stop:${stopId}`, {
+                type: "stop",
+                id: stopId,
+                attributes: { parent_station: feed.stops[stopId] || null },
+            });
+            if (withTrips) {
+                included.set(`trip:${tripId}`, {
+                    type: "trip",
+                    id: tripId,
+                    attributes: { direction_id: dir },
+                    relationships: { route_pattern: { data: pattern ? { type: "route_pattern", id: pattern } : null } },
+                });
+            }
+        }
     }
 
-    out.sort((a, b) => a.fromT - b.fromT);
-    return out;
+    return { data, included: [...included.values()] };
 }
 
+/* ---------------- Schedules loaders ---------------- */
 
-// [{tripId, fromT(arl), toT(park)}]
-export async function loadSchedulesGreenPairs(state, cfg, serviceDate, arlKids, parkKids, minTime, maxTime) {
-    const stopCsv = csvFromAnySet(new Set([...arlKids, ...parkKids]));
+// [{tripId, route, fromT(board), toT(alight), dir, patternId}] for one itinerary leg.
+// toT is null when the leg has no alight station (toKids empty).
+// withTrips: include trips so dir/patternId are filled (otherwise null), and keep trips that
+// board but never reach the alight station (toT null) so route patterns can classify them.
+export async function loadSchedulesLegPairs(state, routes, serviceDate, fromKids, toKids, minTime, maxTime, { withTrips = false } = {}, ctx = browserContext) {
+    const wantTo = toKids && toKids.size > 0;
+    const stopCsv = csvFromAnySet(new Set([...fromKids, ...(wantTo ? toKids : [])]));
+    const routeCsv = [...routes].join(",");
 
     const params = {
-        "filter[route]": cfg.greenRoutes.join(","),
+        "filter[route]": routeCsv,
         "filter[stop]": stopCsv,
         "filter[date]": serviceDate,
         "filter[min_time]": minTime,
         "filter[max_time]": maxTime,
         "page[limit]": "650",
-        "include": "stop",
+        "include": withTrips ? "stop,trip" : "stop",
         "fields[stop]": "parent_station",
+        ...(withTrips ? { "fields[trip]": "direction_id" } : {}),
         "fields[schedule]": "arrival_time,departure_time,stop_sequence",
     };
 
-    const { data, included } = await fetchSchedulesOneKeyCached(state, "greenPairs", params);
+    // Slot per route+stop set, so switching itineraries never reuses another leg's data.
+    const slot = `leg:${routeCsv}|${stopCsv}${withTrips ? "|trips" : ""}`;
+    const { data, included } = await withOfflineFallback(
+        () => fetchSchedulesCached(state, slot, params, ctx),
+        (feed) => gtfsSchedules(feed, params, ctx),
+        ctx
+    );
 
     const stopParent = buildStopParentMap(included);
+    const tripInfo = buildTripInfoMap(included);
 
     const trips = new Map();
     for (const item of data) {
@@ -556,116 +1719,49 @@ export async function loadSchedulesGreenPairs(state, cfg, serviceDate, arlKids,
 
         const eff = stopParent.get(stopId) || stopId;
 
-        const t = bestTimeFromAttrs(item.attributes || {});
-        if (!t) continue;
-
         const rawSeq = item.attributes?.stop_sequence;
         const seq = rawSeq == null ? null : Number(rawSeq);
         const seqOk = Number.isFinite(seq) ? seq : null;
 
         const rec = trips.get(tripId) || {};
         const attrs = item.attributes || {};
-        if (arlKids.has(eff)) {
+        if (!rec.route) rec.route = item.relationships?.route?.data?.id || null;
+        if (fromKids.has(eff)) {
             const t = schedOriginTime(attrs);
-            if (t) { rec.arl_t = t; rec.arl_seq = seqOk; }
+            if (t && (!rec.from_t || t < rec.from_t)) { rec.from_t = t; rec.from_seq = seqOk; }
         }
-        if (parkKids.has(eff)) {
+        if (wantTo && toKids.has(eff)) {
             const t = schedDestTime(attrs);
-            if (t) { rec.park_t = t; rec.park_seq = seqOk; }
+            if (t && (!rec.to_t || t < rec.to_t)) { rec.to_t = t; rec.to_seq = seqOk; }
         }
         trips.set(tripId, rec);
     }
 
     const out = [];
     for (const [tripId, rec] of trips.entries()) {
-        if (!rec.arl_t || !rec.park_t) continue;
-        if (!(rec.arl_t < rec.park_t)) continue;
-        if (rec.arl_seq != null && rec.park_seq != null && !(rec.arl_seq < rec.park_seq)) continue;
-        out.push({ tripId, fromT: rec.arl_t, toT: rec.park_t });
-    }
-
-    out.sort((a, b) => a.toT - b.toT);
-    return out;
-}
-
-
-// Map<tripId, { depHarv, arrDisp }>
-export async function loadSchedulesBusHarv(state, cfg, serviceDate, harvKids, minTime, maxTime) {
-    const params = {
-        "filter[route]": cfg.busRoute,
-        "filter[stop]": csvFromAnySet(harvKids),
-        "filter[date]": serviceDate,
-        "filter[min_time]": minTime,
-        "filter[max_time]": maxTime,
-        "page[limit]": "350",
-        "include": "stop",
-        "fields[stop]": "parent_station",
-        "fields[schedule]": "arrival_time,departure_time,stop_sequence",
-    };
-
-    const { data, included } = await fetchSchedulesOneKeyCached(state, "busHarvard", params);
-
-    const stopParent = buildStopParentMap(included);
-
-    const out = new Map();
-    for (const item of data) {
-        const tripId = item.relationships?.trip?.data?.id;
-        const stopId = item.relationships?.stop?.data?.id;
-        if (!tripId || !stopId) continue;
-
-        const eff = stopParent.get(stopId) || stopId;
-        if (!harvKids.has(eff)) continue;
-
-        const a = item.attributes || {};
-        const arr = parseIso(a.arrival_time);
-        const dep = parseIso(a.departure_time);
-        const depHarv = dep || arr;
-        const arrHarv = arr || dep;
-        if (!depHarv || !arrHarv) continue;
-
-        const prev = out.get(tripId);
-        if (!prev || depHarv < prev.depHarv) out.set(tripId, { depHarv, arrDisp: arrHarv });
-    }
-
-    return out;
-}
-
-
-// Map<tripId, Date>
-export async function loadSchedulesBusHome(state, cfg, serviceDate, homeKids, minTime, maxTime) {
-    const params = {
-        "filter[route]": cfg.busRoute,
-        "filter[stop]": csvFromAnySet(homeKids),
-        "filter[date]": serviceDate,
-        "filter[min_time]": minTime,
-        "filter[max_time]": maxTime,
-        "page[limit]": "800",
-        "include": "stop",
-        "fields[stop]": "parent_station",
-        "fields[schedule]": "arrival_time,departure_time,stop_sequence",
-    };
-
-    const { data, included } = await fetchSchedulesOneKeyCached(state, "busHome", params);
-
-    const stopParent = buildStopParentMap(included);
-
-    const out = new Map();
-    for (const item of data) {
-        const tripId = item.relationships?.trip?.data?.id;
-        const stopId = item.relationships?.stop?.data?.id;
-        if (!tripId || !stopId) continue;
-
-        const eff = stopParent.get(stopId) || stopId;
-        if (!homeKids.has(eff)) continue;
-
-        const a = item.attributes || {};
-        const t = parseIso(a.arrival_time) || parseIso(a.departure_time);
-        if (!t) continue;
-
-        const prev = out.get(tripId);
-        if (!prev || t < prev) out.set(tripId, t);
+        if (!rec.from_t) continue;
+        if (wantTo && !rec.to_t && withTrips) {
+            const info = tripInfo.get(tripId);
+            out.push({ tripId, route: rec.route || null, fromT: rec.from_t, toT: null, dir: info?.dir ?? null, patternId: info?.patternId || null });
+            continue;
+        }
+        if (wantTo) {
+            if (!rec.to_t) continue;
+            if (!(rec.from_t < rec.to_t)) continue;
+            if (rec.from_seq != null && rec.to_seq != null && !(rec.from_seq < rec.to_seq)) continue;
+        }
+        const info = tripInfo.get(tripId);
+        out.push({
+            tripId,
+            route: rec.route || null,
+            fromT: rec.from_t,
+            toT: wantTo ? rec.to_t : null,
+            dir: info?.dir ?? null,
+            patternId: info?.patternId || null,
+        });
     }
 
+    out.sort((a, b) => a.fromT - b.fromT);
     return out;
 }
 
@@ -720,97 +1816,96 @@ export function mergePairsByTripId(schedPairs, predPairs) {
 }
 
 
-// Merge bus harvard/home by tripId, prefer earliest when duplicates exist.
-export function mergeBusByTripId(
-    schedBusByTrip,
-    schedHomeByTrip,
-    predBusByTrip,
-    predHomeByTrip
-) {
-    const tripIds = new Set([
-        ...schedBusByTrip.keys(),
-        ...predBusByTrip.keys(),
-        ...schedHomeByTrip.keys(),
-        ...predHomeByTrip.keys(),
-    ]);
+/* ---------------- Alerts ---------------- */
 
-    const out = [];
-    for (const tid of tripIds) {
-        const sb = schedBusByTrip.get(tid) || null;
-        const pb = predBusByTrip.get(tid) || null;
+// Effects that change how (or whether) a leg runs; see applyDisruptions in planner.js
+export const DISRUPTION_EFFECTS = new Set(["SHUTTLE", "SUSPENSION", "DETOUR", "STOP_CLOSURE", "STATION_CLOSURE"]);
 
-        const dep = pb?.depHarv || sb?.depHarv || null;
-        const arr = pb?.arrDisp || sb?.arrDisp || null;
-        if (!dep || !arr) continue;
+function parseActivePeriods(periods) {
+    return (periods || [])
+        .map((p) => ({ start: parseIso(p.start), end: parseIso(p.end) }))
+        .filter((p) => p.start);
+}
 
-        const sh = schedHomeByTrip.get(tid) || null;
-        const ph = predHomeByTrip.get(tid) || null;
-        const home = ph || sh || null;
+// Alert model: { id, header, description, severity (0-10), effect, lifecycle, url, updatedAt,
+// periods: [{ start, end|null }], hits: [{ leg, at }] }.
+// A rail/bus alert hits a leg if it names one of the leg's routes and either no stop
+// (at = "route") or a stop at the leg's board/alight station (at = "from" / "to").
+function alertModel(a, legs, fromStops, toStops) {
+    const attrs = a.attributes || {};
+    const hits = [];
+    const hit = (leg, at) => {
+        const prev = hits.find((h) => h.leg === leg);
+        if (!prev) hits.push({ leg, at });
+        else if (prev.at !== at) prev.at = "route"; // both ends: the whole leg
+    };
 
-        out.push({
-            tripId: tid,
-            dep,
-            depPred: !!pb?.depHarv,
-            schedDep: sb?.depHarv || null,
-            arrDisp: arr,
-            arrPred: !!pb?.arrDisp,
-            schedArr: sb?.arrDisp || null,
-            home,
-            homePred: !!ph,
-            schedHome: sh || null,
+    for (const ent of attrs.informed_entity || []) {
+        legs.forEach((l, i) => {
+            if (!l.routes.includes(ent.route)) return;
+            if (!ent.stop) hit(i, "route");
+            else if (fromStops[i].has(ent.stop)) hit(i, "from");
+            else if (toStops[i].has(ent.stop)) hit(i, "to");
         });
     }
 
-    out.sort((a, b) => a.dep - b.dep);
-    return out;
+    const effect = String(attrs.effect || "").toUpperCase();
+    return {
+        id: a.id,
+        header: (attrs.header || "").trim(),
+        description: (attrs.description || "").trim(),
+        severity: Number.isFinite(attrs.severity) ? attrs.severity : 0,
+        effect,
+        lifecycle: attrs.lifecycle || null,
+        url: attrs.url || null,
+        updatedAt: parseIso(attrs.updated_at),
+        periods: parseActivePeriods(attrs.active_period),
+        hits: hits.sort((x, y) => x.leg - y.leg),
+    };
 }
 
-/* ---------------- Alerts counts per mode ---------------- */
-
-export async function loadRelevantAlertsWithCounts(state, cfg, parkKids, harvKids, arlKids) {
-    const routes = [cfg.redRoute, cfg.busRoute, ...cfg.greenRoutes].join(",");
-    const data = await fetchAll(state, "/alerts", {
-        "filter[route]": routes,
-        "page[limit]": "250",
-    });
-
-    const parkSet = new Set([...parkKids]);
-    const harvSet = new Set([...harvKids]);
-    const arlSet = new Set([...arlKids]);
-
-    const headers = [];
-    const seen = new Set();
-
-    let red = 0, green = 0, bus = 0;
-
-    for (const a of data) {
-        const header = (a.attributes?.header || "").trim();
-        if (!header) continue;
-
-        const informed = a.attributes?.informed_entity || [];
-        let hits = false;
-        let hitRed = false, hitGreen = false, hitBus = false;
-
-        for (const ent of informed) {
-            const r = ent.route;
-            const s = ent.stop;
-
-            if (r === cfg.busRoute) { hitBus = true; hits = true; }
-            if (r === cfg.redRoute) {
-                if (!s || parkSet.has(s) || harvSet.has(s)) { hitRed = true; hits = true; }
-            }
-            if (cfg.greenRoutes.includes(r)) {
-                if (!s || arlSet.has(s) || parkSet.has(s)) { hitGreen = true; hits = true; }
-            }
-        }
-
-        if (!hits) continue;
-
-        if (!seen.has(header)) { seen.add(header); headers.push(header); }
-        if (hitRed) red++;
-        if (hitGreen) green++;
-        if (hitBus) bus++;
+// alerts: alert models hitting a leg, active during start..end (when given), most severe first.
+// headers: their distinct headers in that order; counts: [{ leg, label, count }] in itinerary
+// order.
+// disruptions: [{ id, header, effect, legs: [legIdx], hits: [{ leg, at }], periods: [{start, end|null}] }]
+// for alerts whose effect is in DISRUPTION_EFFECTS.
+// Alerts are cached for CACHE_TTL.alerts; maxAgeMs overrides that (streaming re-plans run
+// often and pass a longer one, alerts change slowly).
+export async function loadRelevantAlertsWithCounts(state, legs, kidsByStation, { maxAgeMs = CACHE_TTL.alerts, start = null, end = null } = {}, ctx = browserContext) {
+    const routes = [...new Set(legs.flatMap((l) => l.routes))].join(",");
+    const key = `alerts|${routes}`;
+    let data = maxAgeMs > 0 ? await cacheGet(ctx, "alerts", key, { maxAgeMs }) : null;
+    if (!data) {
+        data = await fetchAll(state, "/alerts", {
+            "filter[route]": routes,
+            "page[limit]": "250",
+        }, ctx);
+        await cacheSet(ctx, "alerts", key, data, Math.max(maxAgeMs, CACHE_TTL.alerts));
     }
 
-    return { headers, counts: { red, green, bus } };
+    const fromStops = legs.map((l) => new Set(kidsByStation.get(l.from) || []));
+    const toStops = legs.map((l) => new Set(l.to ? kidsByStation.get(l.to) || [] : []));
+
+    const alerts = data
+        .map((a) => alertModel(a, legs, fromStops, toStops))
+        .filter((a) => a.header && a.hits.length)
+        .filter((a) => !start || !end || alertActiveDuring(a, start, end))
+        .sort((x, y) => y.severity - x.severity || (x.periods[0]?.start || 0) - (y.periods[0]?.start || 0));
+
+    const headers = [...new Set(alerts.map((a) => a.header))];
+    const counts = legs.map((l) => ({ leg: l.id, label: l.label, count: 0 }));
+    for (const a of alerts) for (const h of a.hits) counts[h.leg].count++;
+
+    const disruptions = alerts
+        .filter((a) => DISRUPTION_EFFECTS.has(a.effect))
+        .map((a) => ({
+            id: a.id,
+            header: a.header,
+            effect: a.effect === "STATION_CLOSURE" ? "STOP_CLOSURE" : a.effect,
+            legs: a.hits.map((h) => h.leg),
+            hits: a.hits,
+            periods: a.periods,
+        }));
+
+    return { alerts, headers, counts, disruptions };
 }
@@ -2,7 +2,9 @@
 // Electron-only notifications (uses “best” row meta from planner output).
 // ES module
 
-import { fmtHHMM, getNow } from "./planner.js";
+import { getNow } from "./planner.js";
+import { fmtHHMM } from "./view.js";
+import { bostonTimeOn, weekdayBoston, ymdBoston } from "./time.js";
 
 export function isElectron() {
   return !!(window.process?.versions?.electron) || /Electron/i.test(navigator.userAgent || "");
@@ -14,36 +16,31 @@ export function isMobile() {
   return /Android|iPhone|iPad|iPod/i.test(navigator.userAgent || "");
 }
 
+// counts: [{ leg, label, count }] in itinerary order
 export function formatAlertText(counts) {
-  const c = counts || { green: 0, red: 0, bus: 0 };
-  const parts = [];
-  if (c.green > 0) parts.push(`${c.green} Green`);
-  if (c.red > 0) parts.push(`${c.red} Red`);
-  if (c.bus > 0) parts.push(`${c.bus} 75`);
+  const parts = (counts || []).filter((c) => c.count > 0).map((c) => `${c.count} ${c.label}`);
   return parts.length ? `Alerts: ${parts.join(", ")}` : "No alerts.";
 }
 
-export function isWeekday(d) {
-  const day = d.getDay();
-  return day >= 1 && day <= 5;
+// "Park 17:12 arrival." (homebound) / "Home 07:45 departure." (outbound) for the best row,
+// after "Leave by 17:04." when an origin walk gives the row a leave time.
+export function formatBestText(plan, date, leave = null) {
+  const label = plan?.anchorLabel || "Park";
+  const verb = plan?.anchorVerb || "arrival";
+  const anchor = `${label} ${date ? fmtHHMM(date) : "--:--"} ${verb}.`;
+  return leave ? `Leave by ${fmtHHMM(leave)}. ${anchor}` : anchor;
 }
 
-function ymdLocal(d) {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
+// Weekday in Boston, whatever the device's timezone
+export function isWeekday(d) {
+  const day = weekdayBoston(d);
+  return day >= 1 && day <= 5;
 }
 
 function parseHHMMToday(hhmm, baseDate) {
   const m = String(hhmm || "").match(/^(\d{2}):(\d{2})$/);
   if (!m) return null;
-  const hh = Number(m[1]),
-    mm = Number(m[2]);
-  if (!Number.isFinite(hh) || !Number.isFinite(mm)) return null;
-  const d = new Date(baseDate);
-  d.setHours(hh, mm, 0, 0);
-  return d;
+  return bostonTimeOn(baseDate, Number(m[1]), Number(m[2]));
 }
 
 export function inCommuteWindow(state, now, hours = 3) {
@@ -99,7 +96,7 @@ export async function ensurePermission() {
 
 export function clearNotifyTrackingIfNotToday(state, saveState, loadState) {
   const now = getNow(state);
-  const today = ymdLocal(now);
+  const today = ymdBoston(now);
 
   const s = loadState();
   if ((s.lastNotifiedYMD || "") !== today) {
@@ -139,7 +136,7 @@ export function formatSuppressedReasons({ state, plan, cfg, includeCountsLine =
 
   const counts = plan?.alertCounts;
   const countLine =
-    includeCountsLine && counts ? `Alerts: Green ${counts.green}, Red ${counts.red}, 75 ${counts.bus}.` : "";
+    includeCountsLine && counts ? `Alerts: ${counts.map((c) => `${c.label} ${c.count}`).join(", ")}.` : "";
 
   const active =
     canEnableNotifications(state, now, cfg.hours) &&
@@ -153,9 +150,11 @@ export function formatSuppressedReasons({ state, plan, cfg, includeCountsLine =
 
 /* ---------------- Scheduling ---------------- */
 
-export function computeFireAt(state, parkBestDate) {
+// Lead time before leaving when the best row has a leave time, else before the anchor time
+export function computeFireAt(state, anchorBestDate, leaveBestDate = null) {
   const leadMin = Math.max(0, Number(state.notifyLeadMin || 0));
-  return new Date(parkBestDate.getTime() - leadMin * 60_000);
+  const at = leaveBestDate instanceof Date && !isNaN(leaveBestDate) ? leaveBestDate : anchorBestDate;
+  return new Date(at.getTime() - leadMin * 60_000);
 }
 
 export function shouldSuppressRepeat({ state, loadState, bestGroup, cfg }) {
@@ -169,7 +168,7 @@ export function shouldSuppressRepeat({ state, loadState, bestGroup, cfg }) {
   const prevPassed = Date.now() >= prevPark.getTime();
   if (prevPassed) return false;
 
-  const park = bestGroup?.meta?.parkBestDate;
+  const park = bestGroup?.meta?.anchorBestDate;
   if (!(park instanceof Date) || isNaN(park)) return false;
 
   const deltaMin = Math.abs(Math.round((park - prevPark) / 60000));
@@ -178,8 +177,8 @@ export function shouldSuppressRepeat({ state, loadState, bestGroup, cfg }) {
 
 export function buildTrainKey(state, bestGroup) {
   const now = getNow(state);
-  const ymd = ymdLocal(now);
-  const park = bestGroup?.meta?.parkBestDate;
+  const ymd = ymdBoston(now);
+  const park = bestGroup?.meta?.anchorBestDate;
   const parkISO = park instanceof Date ? park.toISOString() : "";
   return `${ymd}|${bestGroup.key}|${parkISO}`;
 }
@@ -237,7 +236,7 @@ export function scheduleBestNotification({
     return null;
   }
 
-  const park = best.meta?.parkBestDate;
+  const park = best.meta?.anchorBestDate;
   if (!(park instanceof Date) || isNaN(park)) {
     setNextNotifyLine?.("");
     return null;
@@ -255,7 +254,7 @@ export function scheduleBestNotification({
     return null;
   }
 
-  const fireAt = computeFireAt(state, park);
+  const fireAt = computeFireAt(state, park, best.meta?.leaveBestDate);
   const delay = fireAt.getTime() - Date.now();
 
   const run = () => {
@@ -267,7 +266,7 @@ export function scheduleBestNotification({
     const best2 = getBestGroup(plan);
     if (!best2) return;
 
-    const park2 = best2.meta?.parkBestDate;
+    const park2 = best2.meta?.anchorBestDate;
     if (!(park2 instanceof Date) || isNaN(park2) || Date.now() >= park2.getTime()) return;
 
     // Suppress repeat again if plan didn't materially change
@@ -276,8 +275,10 @@ export function scheduleBestNotification({
     // Close last if any
     clearLastNotificationRef?.();
 
+    // A leave time already past isn't worth repeating
+    const leave2 = best2.meta?.leaveBestDate;
     const alertText = formatAlertText(plan?.alertCounts);
-    const body = `Park ${fmtHHMM(park2)} arrival. ${alertText}`;
+    const body = `${formatBestText(plan, park2, leave2 > Date.now() ? leave2 : null)} ${alertText}`;
 
     const n = showNotification({
       state,
@@ -288,7 +289,7 @@ export function scheduleBestNotification({
     setLastNotificationRef?.(n);
 
     // Persist tracking
-    const nowDay = ymdLocal(getNow(state));
+    const nowDay = ymdBoston(getNow(state));
     saveState({
       ...loadState(),
       lastNotifiedYMD: nowDay,
@@ -323,12 +324,13 @@ export async function sendTestNotification({ state, cfg, plan }) {
   // Representative: use current best Park arrival if available
   const best = getBestGroup(plan);
   const park =
-    best?.meta?.parkBestDate instanceof Date && !isNaN(best.meta.parkBestDate)
-      ? best.meta.parkBestDate
+    best?.meta?.anchorBestDate instanceof Date && !isNaN(best.meta.anchorBestDate)
+      ? best.meta.anchorBestDate
       : getNow(state);
 
+  const leave = best?.meta?.leaveBestDate instanceof Date ? best.meta.leaveBestDate : null;
   const alertText = formatAlertText(plan?.alertCounts);
-  const body = `Park ${fmtHHMM(park)} arrival. ${alertText}`;
+  const body = `${formatBestText(plan, park, leave)} ${alertText}`;
 
   showNotification({
     state,
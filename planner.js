@@ -1,5 +1,5 @@
 // planner.js
-// Build groups/rows, including time-cells that can be underlined if predicted.
+// Load and merge each leg's trips, then plan (core.js) and lay the plan out as rows (view.js).
 // Partial predictions supported: overlay predictions per-stop over schedules.
 // ES module
 
@@ -8,14 +8,29 @@ import {
     csvFromSet,
     loadPredictions,
     buildTripStopTimesFromPred,
-    busTripsFromPred,
-    loadSchedulesRedPairs,
-    loadSchedulesGreenPairs,
-    loadSchedulesBusHarv,
-    loadSchedulesBusHome,
-    mergeBusByTripId,
+    loadSchedulesLegPairs,
     loadRelevantAlertsWithCounts,
+    loadRoutePatterns,
+    loadVehiclesForTrips,
+    offlineFallbackActive,
+    offlineMark,
+    offlineScheduleSource,
+    replaySession,
+    browserContext,
 } from "./mbta.js";
+import { resolveItinerary } from "./itinerary.js";
+import { riskModel, minReliability } from "./risk.js";
+import { alertActiveAt, planCommute, planTripIds } from "./core.js";
+import { planView } from "./view.js";
+import {
+    SERVICE_DAY_END_MIN,
+    addDaysYmd,
+    bostonDate,
+    bostonTimeOn,
+    serviceDayStart,
+    serviceTimeHHMM,
+    ymdBoston,
+} from "./time.js";
 
 // planner.js
 
@@ -24,72 +39,56 @@ function parseStartOverride(s) {
     const t = String(s).trim();
     if (!t) return null;
 
-    // strict: must be YYYY-MM-DDTHH:MM (or space)
+    // strict: must be YYYY-MM-DDTHH:MM (or space), Boston time
     const norm = t.replace(" ", "T");
     const m = norm.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
     if (!m) return null;
 
-    const [, yy, mm, dd, hh, mi] = m;
-    const d = new Date(Number(yy), Number(mm) - 1, Number(dd), Number(hh), Number(mi), 0, 0);
+    const [, yy, mm, dd, hh, mi] = m.map(Number);
+    if (mm < 1 || mm > 12 || dd < 1 || dd > 31 || hh > 23 || mi > 59) return null;
+    const d = bostonDate(yy, mm, dd, hh, mi);
     return isNaN(d) ? null : d;
 }
 
-export function getNowInfo(state) {
+// While replaying a recorded session, "now" is the session's.
+// ctx.clock supplies "now" when there's no start override (see createContext in mbta.js)
+export function getNowInfo(state, ctx = browserContext) {
+    const replay = replaySession(ctx);
+    if (replay) return { now: floorToMinute(replay.now), overrideOk: true };
     const raw = (state.startOverride || "").trim();
     const parsed = parseStartOverride(raw);
     if (raw && !parsed) {
-        return { now: floorToMinute(new Date()), overrideOk: false };
+        return { now: floorToMinute(ctx.clock.now()), overrideOk: false };
     }
-    return { now: floorToMinute(parsed || new Date()), overrideOk: true };
+    return { now: floorToMinute(parsed || ctx.clock.now()), overrideOk: true };
 }
 
 
-function hhmmLocal(d) {
-    return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
-}
 function addMinutes(d, min) {
     return new Date(d.getTime() + min * 60_000);
 }
 
-function ymdLocal(d) {
-    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
-}
-
-// Build schedule query “slices” so min_time/max_time always makes sense per serviceDate.
-// Example:
-//   start=23:10, end=02:10 (next day)
+// Build schedule query “slices”: one per service date whose day can overlap the (padded)
+// window, with min_time/max_time on that service day's clock (past 24:00 after midnight).
+// Example, start=23:10 Fri, end=02:10 Sat:
 //   slices = [
-//     { date: <start day>, min:"22:40", max:"23:59" },
-//     { date: <end day>,   min:"00:00", max:"02:40" },
+//     { date: <Fri>, min:"22:40", max:"26:40" },
+//     { date: <Sat>, min:"00:00", max:"02:40" },
 //   ]
-function scheduleSlicesForWindow(start, end, padMin = 30) {
-    const startPad = addMinutes(start, -padMin);
-    const endPad = addMinutes(end, padMin);
+// A morning window also asks the day before for trips still running past 24:00.
+export function scheduleSlicesForWindow(start, end, padMin = 30) {
+    const lo = addMinutes(start, -padMin).getTime();
+    const hi = addMinutes(end, padMin).getTime();
 
     const slices = [];
-    const startY = ymdLocal(startPad);
-    const endY = ymdLocal(endPad);
-
-    if (startY === endY) {
-        slices.push({ date: startY, min: hhmmLocal(startPad), max: hhmmLocal(endPad) });
-        return slices;
+    const lastDate = ymdBoston(new Date(hi));
+    for (let date = addDaysYmd(ymdBoston(new Date(lo)), -1); date <= lastDate; date = addDaysYmd(date, 1)) {
+        const base = serviceDayStart(date);
+        const min = Math.max(0, Math.floor((lo - base) / 60_000));
+        const max = Math.min(SERVICE_DAY_END_MIN, Math.floor((hi - base) / 60_000));
+        if (min > max) continue;
+        slices.push({ date, min: serviceTimeHHMM(min), max: serviceTimeHHMM(max) });
     }
-
-    // First day: from startPad -> end of day
-    slices.push({ date: startY, min: hhmmLocal(startPad), max: "23:59" });
-
-    // Middle days (rare, but safe)
-    let cur = new Date(startPad);
-    cur.setHours(0, 0, 0, 0);
-    cur.setDate(cur.getDate() + 1);
-    while (ymdLocal(cur) !== endY) {
-        slices.push({ date: ymdLocal(cur), min: "00:00", max: "23:59" });
-        cur.setDate(cur.getDate() + 1);
-    }
-
-    // Last day: start of day -> endPad
-    slices.push({ date: endY, min: "00:00", max: hhmmLocal(endPad) });
-
     return slices;
 }
 
@@ -100,94 +99,32 @@ function floorToMinute(d) {
     return x;
 }
 
-export function getNow(state) {
-    return floorToMinute(parseStartOverride((state.startOverride || "").trim()) || new Date());
+export function getNow(state, ctx = browserContext) {
+    const replay = replaySession(ctx);
+    if (replay) return floorToMinute(replay.now);
+    return floorToMinute(parseStartOverride((state.startOverride || "").trim()) || ctx.clock.now());
 }
 
+// Service dates with trips that can run during start..end (late-night trips belong to the
+// previous date)
 export function serviceDatesForWindow(start, end) {
-    const toYMD = (d) =>
-        `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
-
-    const dates = new Set();
-    dates.add(toYMD(start));
-    dates.add(toYMD(end));
-
-    // Only include previous day if the window crosses midnight OR is very early AM,
-    // where “service day” can still be previous date for late-night trips.
-    const crossesMidnight = toYMD(start) !== toYMD(end);
-    const earlyAM = start.getHours() < 3 || end.getHours() < 3;
-
-    if (crossesMidnight || earlyAM) {
-        const prev = new Date(start);
-        prev.setDate(prev.getDate() - 1);
-        dates.add(toYMD(prev));
-    }
-
-    return [...dates].sort();
-}
-
-export function timeCell(text, pred = false, schedText = "") {
-    return { text: text || "", pred: !!pred, schedText: schedText || "" };
-}
-
-export function fmtHHMM(d) {
-    const hh = String(d.getHours()).padStart(2, "0");
-    const mm = String(d.getMinutes()).padStart(2, "0");
-    return `${hh}:${mm}`;
-}
-
-export function padWait(min) {
-    return `${String(min).padStart(2, " ")} min`;
+    return [...new Set(scheduleSlicesForWindow(start, end, 0).map((sl) => sl.date))];
 }
 
-// upperBound by greenPairs[].toT (Park arrival)
-function upperBoundByToT(arr, cutoffToT) {
-    let lo = 0,
-        hi = arr.length;
-    while (lo < hi) {
-        const mid = (lo + hi) >> 1;
-        if (arr[mid].toT <= cutoffToT) lo = mid + 1;
-        else hi = mid;
-    }
-    return lo;
-}
-
-// lowerBound by busSorted[].dep
-function lowerBoundByDep(arr, ready) {
-    let lo = 0,
-        hi = arr.length;
-    while (lo < hi) {
-        const mid = (lo + hi) >> 1;
-        if (arr[mid].dep < ready) lo = mid + 1;
-        else hi = mid;
-    }
-    return lo < arr.length ? arr[lo] : null;
-}
-
-// Best group = has at least one viable connection, but never mark the last such group "best"
-export function markBestGroups(groupsOrdered) {
-    const usable = groupsOrdered.filter(
-        (g) => g.meta.tripId !== "__NONE__" && (g.items?.length || 0) > 0
-    );
-    const lastKey = usable.length ? usable[usable.length - 1].key : null;
-
-    for (const g of groupsOrdered) {
-        g.best = g.meta.tripId !== "__NONE__" && g.items.length > 0 && g.key !== lastKey;
-    }
-    return groupsOrdered;
-}
-
-function canUsePredictions(state) {
-    // Don’t mix simulation time with live predictions
+function canUsePredictions(state, ctx) {
+    // Don’t mix simulation time with live predictions (recorded sessions carry their own)
+    if (replaySession(ctx)) return true;
     return !(state.startOverride || "").trim();
 }
 
-function predStopTimesFromTripMap(tripMap, stopName) {
-    // Map<tripId, Date>
+function predStopTimesFromTripMap(tripMap, stopName, prefer = "arr") {
+    // Map<tripId, Date>; board stops prefer departure, alight stops prefer arrival (like schedules)
     const out = new Map();
     for (const [tripId, rec] of tripMap.entries()) {
         const st = rec.stops?.[stopName];
-        if (st?.t instanceof Date && !isNaN(st.t)) out.set(tripId, st.t);
+        if (!st) continue;
+        const t = prefer === "dep" ? st.dep || st.arr || st.t : st.arr || st.dep || st.t;
+        if (t instanceof Date && !isNaN(t)) out.set(tripId, t);
     }
     return out;
 }
@@ -205,7 +142,7 @@ function pickEarliestByTripId(pairs) {
 // Preference order:
 // 1) any pair whose fromT is within [start,end] (choose earliest within window)
 // 2) otherwise, choose the pair whose fromT is closest to start
-function pickSchedBestForWindow(schedPairs, start, end) {
+export function pickSchedBestForWindow(schedPairs, start, end) {
     const m = new Map(); // tripId -> pair
     for (const p of schedPairs) {
         const prev = m.get(p.tripId);
@@ -228,7 +165,10 @@ function pickSchedBestForWindow(schedPairs, start, end) {
 
 // Partial merge: overlay predictions per-stop over schedules, and include pred-only trips.
 // IMPORTANT: schedule selection is window-aware to prevent cross-date tripId collisions.
-function mergePairsPartial(schedPairs, predFromMap, predToMap, start, end) {
+// requireTo=false keeps board-only trips (last leg without an alight station).
+// predTrips: Map<tripId, { route, patternId, cancelled }> from predictions; route/pattern fill in
+// trips only known from predictions, cancelled = "trip" | "from" | "to" (stop skipped) or null.
+export function mergePairsPartial(schedPairs, predFromMap, predToMap, start, end, requireTo = true, predTrips = null) {
     const schedMap = pickSchedBestForWindow(schedPairs, start, end);
 
     const tripIds = new Set([
@@ -250,17 +190,25 @@ function mergePairsPartial(schedPairs, predFromMap, predToMap, start, end) {
         const fromT = predFromT || schedFromT;
         const toT = predToT || schedToT;
 
-        if (!fromT || !toT) continue;
-        if (!(fromT < toT)) continue;
+        if (!fromT) continue;
+        if (requireTo && !toT) continue;
+        if (toT && !(fromT < toT)) continue;
+
+        // Cancelled trip or skipped board/alight stop: kept with its scheduled times but
+        // flagged, so the planner can say which connection went away instead of riding it
+        const cancelled = predTrips?.get(tripId)?.cancelled || null;
 
         out.push({
             tripId,
+            route: s?.route || predTrips?.get(tripId)?.route || null,
+            patternId: s?.patternId || predTrips?.get(tripId)?.patternId || null,
             fromT,
             toT,
             fromPred: !!predFromT,
             toPred: !!predToT,
             schedFromT,
             schedToT,
+            ...(cancelled ? { cancelled } : {}),
         });
     }
 
@@ -268,40 +216,116 @@ function mergePairsPartial(schedPairs, predFromMap, predToMap, start, end) {
     return out;
 }
 
-function chooseCloserToStart(prevT, nextT, start) {
-    const d0 = Math.abs(prevT - start);
-    const d1 = Math.abs(nextT - start);
-    return d1 < d0;
-}
+// Home leg: route patterns decide which trips reach the home stop after boarding.
+// Trips on a pattern that stops short (same direction as the home patterns) are kept with
+// shortTurn=true and no arrival; trips missing a home prediction get an estimated arrival
+// (toEst) from their own schedule, or the pattern's median scheduled ride.
+function applyRoutePatterns(pairs, patterns, fromKids, toKids) {
+    const reaches = new Map(); // patternId -> reaches home after boarding
+    for (const pat of patterns.values()) {
+        const b = pat.stops.findIndex((id) => fromKids.has(id));
+        if (b < 0 || b === pat.stops.length - 1) continue; // doesn't board here (or ends here)
+        reaches.set(pat.id, pat.stops.slice(b + 1).some((id) => toKids.has(id)));
+    }
+    const homeDirs = new Set([...patterns.values()].filter((pat) => reaches.get(pat.id)).map((pat) => pat.dir));
 
-function upsertBusHarv(map, tid, v, start, end) {
-    const prev = map.get(tid);
-    if (!prev) { map.set(tid, v); return; }
+    const rides = new Map();
+    for (const p of pairs) {
+        if (!p.patternId || !p.schedFromT || !p.schedToT) continue;
+        if (!rides.has(p.patternId)) rides.set(p.patternId, []);
+        rides.get(p.patternId).push(p.schedToT - p.schedFromT);
+    }
+    const rideMs = new Map([...rides].map(([id, xs]) => [id, xs.sort((a, b) => a - b)[xs.length >> 1]]));
 
-    const inWin = v.depHarv >= start && v.depHarv <= end;
-    const prevIn = prev.depHarv >= start && prev.depHarv <= end;
+    const out = [];
+    for (const p of pairs) {
+        if (p.cancelled) {
+            out.push(p);
+            continue;
+        }
+        const pat = p.patternId ? patterns.get(p.patternId) : null;
+        const reach = pat ? reaches.get(pat.id) : undefined;
 
-    if (inWin && !prevIn) { map.set(tid, v); return; }
-    if (inWin && prevIn && v.depHarv < prev.depHarv) { map.set(tid, v); return; }
+        if (reach === false) {
+            if (homeDirs.has(pat.dir)) out.push({ ...p, toT: null, toPred: false, shortTurn: true });
+            continue;
+        }
+        if (p.toPred || (p.toT && !p.fromPred)) {
+            out.push(p);
+            continue;
+        }
 
-    if (!inWin && !prevIn && chooseCloserToStart(prev.depHarv, v.depHarv, start)) {
-        map.set(tid, v);
+        // Boarding predicted (or pred-only trip) but no home prediction: shift the scheduled ride
+        const ride = p.schedFromT && p.schedToT ? p.schedToT - p.schedFromT : rideMs.get(p.patternId);
+        if (ride == null || (!p.toT && reach !== true)) {
+            if (p.toT) out.push(p);
+            continue;
+        }
+        out.push({ ...p, toT: new Date(p.fromT.getTime() + ride), toEst: true });
     }
+    return out;
 }
 
-function upsertBusHome(map, tid, t, start, end) {
-    const prev = map.get(tid);
-    if (!prev) { map.set(tid, t); return; }
-
-    const inWin = t >= start && t <= end;
-    const prevIn = prev >= start && prev <= end;
-
-    if (inWin && !prevIn) { map.set(tid, t); return; }
-    if (inWin && prevIn && t < prev) { map.set(tid, t); return; }
-
-    if (!inWin && !prevIn && chooseCloserToStart(prev, t, start)) {
-        map.set(tid, t);
+// Alerts that change how a leg runs, applied to its trips while the alert is active:
+//   SUSPENSION, STOP_CLOSURE  trips are dropped (leg unavailable)
+//   SHUTTLE                   trips become shuttles taking cfg.shuttleExtraMin longer; when the
+//                             schedule has no trips left, shuttles every cfg.shuttleHeadwayMin
+//   DETOUR                    trips take cfg.detourExtraMin longer
+// Affected pairs carry disrupted: { effect, header }.
+function applyDisruptions(allPairs, disruptions, start, end, cfg) {
+    if (!disruptions.length) return allPairs;
+    const pairs = allPairs.filter((p) => !p.cancelled);
+
+    const rides = pairs.filter((p) => p.toT).map((p) => p.toT - p.fromT).sort((a, b) => a - b);
+    const rideMs = rides.length ? rides[rides.length >> 1] : (cfg.shuttleRideMin ?? 20) * 60_000;
+    const hasTo = pairs.some((p) => p.toT) || !pairs.length;
+
+    let out = pairs;
+    for (const d of disruptions) {
+        const tag = { effect: d.effect, header: d.header };
+        const hit = (p) => alertActiveAt(d, p.fromT);
+
+        if (d.effect === "SUSPENSION" || d.effect === "STOP_CLOSURE") {
+            out = out.filter((p) => !hit(p));
+        } else if (d.effect === "DETOUR") {
+            const extra = (cfg.detourExtraMin ?? 5) * 60_000;
+            out = out.map((p) => (hit(p) ? { ...p, toT: p.toT && new Date(p.toT.getTime() + extra), disrupted: tag } : p));
+        } else if (d.effect === "SHUTTLE") {
+            const extra = (cfg.shuttleExtraMin ?? 10) * 60_000;
+            out = out.map((p) => (hit(p) ? { ...p, route: "Shuttle", toT: p.toT && new Date(p.toT.getTime() + extra), disrupted: tag } : p));
+
+            if (!out.some((p) => p.disrupted === tag)) {
+                const step = (cfg.shuttleHeadwayMin ?? 10) * 60_000;
+                for (let t = start.getTime(); t <= end.getTime(); t += step) {
+                    const fromT = new Date(t);
+                    if (!alertActiveAt(d, fromT)) continue;
+                    out.push({
+                        tripId: `shuttle:${d.id}:${t}`,
+                        route: "Shuttle",
+                        fromT,
+                        toT: hasTo ? new Date(t + rideMs + extra) : null,
+                        fromPred: false,
+                        toPred: false,
+                        schedFromT: null,
+                        schedToT: null,
+                        disrupted: tag,
+                    });
+                }
+            }
+        }
     }
+    return [...out, ...allPairs.filter((p) => p.cancelled)];
+}
+
+// Disruptions that reshape leg i's trips. Each trip rides from the leg's board station to its
+// alight station, so a shuttle, suspension or detour only covers it when the alert names the
+// whole leg (the route, or both stations); one naming just an end station (a shuttle starting
+// where the leg ends, say) leaves the ride alone. A closed end station still drops every trip.
+function disruptionsForLeg(disruptions, i) {
+    return disruptions.filter((d) => {
+        const at = d.hits.find((h) => h.leg === i)?.at;
+        return at === "route" || (!!at && d.effect === "STOP_CLOSURE");
+    });
 }
 
 function settledValue(settled, fallback) {
@@ -309,413 +333,197 @@ function settledValue(settled, fallback) {
 }
 
 
-export async function buildGroupsForWindow(state, cfg) {
-    const includeHome = Boolean((state.homeStop || "").trim());
-    const { now: start, overrideOk } = getNowInfo(state);
-    const end = new Date(start.getTime() + cfg.hours * 3600 * 1000);
-    const scheduleSlices = scheduleSlicesForWindow(start, end, 30);
-
-    const [parkKids, harvKids, arlKids] = await Promise.all([
-        childStops(state, cfg.park),
-        childStops(state, cfg.harvard),
-        childStops(state, cfg.arlington),
-    ]);
-
-    const homeKids = includeHome
-        ? await childStops(state, state.homeStop).catch(() => new Set([state.homeStop]))
-        : new Set();
-
-    const wantsPred = canUsePredictions(state);
-
-    // ---- START THE FOUR "REFRESH" REQUESTS IN PARALLEL ----
-
-    // 1) Alerts
-    const alertP = loadRelevantAlertsWithCounts(state, cfg, parkKids, harvKids, arlKids);
-
-    // 2) Bus predictions
-    let busPredP = Promise.resolve(null);
-    if (wantsPred) {
-        const stopSet = new Set([...harvKids]);
-        if (includeHome) for (const s of homeKids) stopSet.add(s);
-
-        busPredP = loadPredictions(state, cfg.busRoute, csvFromSet(stopSet));
-    }
-
-    // 3) Green predictions
-    let greenPredP = Promise.resolve(null);
-    if (wantsPred) {
-        const stopSet = new Set([...arlKids, ...parkKids]);
-        greenPredP = loadPredictions(state, cfg.greenRoutes.join(","), csvFromSet(stopSet));
-    }
-
-    // 4) Red predictions
-    let redPredP = Promise.resolve(null);
-    if (wantsPred) {
-        const stopSet = new Set([...parkKids, ...harvKids]);
-        redPredP = loadPredictions(state, cfg.redRoute, csvFromSet(stopSet));
-    }
-
-    // Optional: you can “bundle” these so failures don't throw until you inspect them
-    const refreshP = Promise.allSettled([alertP, busPredP, greenPredP, redPredP]);
-
-    /* ---------------- BUS schedules always ---------------- */
-    const schedBusByTrip = new Map();
-    const schedHomeByTrip = new Map();
+// Where a trip's vehicle is relative to the stop the rider boards at (kids: that station's
+// child stops). stopsAway counts the stops it still has to reach, the boarding stop included:
+// 0 = stopped there, 1 = on its way there; negative once it has left.
+function vehiclePosition(v, kids, legLabel) {
+    const at = v.stopId ? v.stops.indexOf(v.stopId) : -1;
+    const board = v.stops.findIndex((id) => kids.has(id));
+    const moving = v.status && v.status !== "STOPPED_AT";
+    const diff = at >= 0 && board >= 0 ? board - at : null;
+    return {
+        leg: legLabel,
+        tripId: v.tripId,
+        label: v.label,
+        status: v.status,
+        stopName: v.stopName,
+        stopsAway: diff != null && diff >= 0 && moving ? diff + 1 : diff,
+        updatedAt: v.updatedAt,
+    };
+}
 
-    for (const sl of scheduleSlices) {
-        const sh = await loadSchedulesBusHarv(state, cfg, sl.date, harvKids, sl.min, sl.max);
-        for (const [tid, v] of sh.entries()) {
-            upsertBusHarv(schedBusByTrip, tid, v, start, end);
+// tripId -> { position, crowding } for core.js, each vehicle placed relative to the board stop
+// of the leg its trip runs on
+function vehiclesByTrip(raw, legPairs, legs, kids) {
+    const out = new Map();
+    legPairs.forEach((ps, i) => {
+        for (const p of ps) {
+            const v = raw.get(p.tripId);
+            if (!v || out.has(p.tripId)) continue;
+            out.set(p.tripId, {
+                position: vehiclePosition({ ...v, tripId: p.tripId }, kids.get(legs[i].from), legs[i].label),
+                crowding: v.crowding || null,
+            });
         }
+    });
+    return out;
+}
 
-        if (includeHome) {
-            const home = await loadSchedulesBusHome(state, cfg, sl.date, homeKids, sl.min, sl.max);
-            for (const [tid, t] of home.entries()) {
-                upsertBusHome(schedHomeByTrip, tid, t, start, end);
-            }
-        }
-    }
+// "HH:MM" (Boston) on the day of `start` (next day if already past), or null.
+function parseArriveBy(hhmm, start) {
+    const m = String(hhmm || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return null;
+    const [hh, mi] = [Number(m[1]), Number(m[2])];
+    if (hh > 23 || mi > 59) return null;
+    const d = bostonTimeOn(start, hh, mi);
+    if (!d || d >= start) return d;
+    return bostonTimeOn(addMinutes(start, 24 * 60), hh, mi);
+}
 
-    /* ---------------- BUS predictions optional ---------------- */
-    const predBusByTrip = new Map();
-    const predHomeByTrip = new Map();
+// Load + merge one leg: schedules per slice always, predictions overlaid per stop when present.
+// patternsP (home leg only): route patterns used to classify trips, see applyRoutePatterns.
+async function loadLegPairs(state, cfg, leg, kids, slices, predResP, start, end, patternsP, ctx) {
+    const fromKids = kids.get(leg.from);
+    const toKids = leg.to ? kids.get(leg.to) : null;
+    const withTrips = !!patternsP;
 
-    if (wantsPred) {
-        const [alertRes, busRes /* greenRes */, /* redRes */] = await refreshP;
-
-        const busPred = settledValue(busRes, null);
-        if (busPred) {
-            const { data: predData, stopParent } = busPred;
-
-            const tripMap = buildTripStopTimesFromPred(
-                predData,
-                { harv: harvKids, home: includeHome ? homeKids : null },
-                cfg.predWindowMin,
-                stopParent,
-                start,
-            );
-
-            const busTrips = busTripsFromPred(tripMap, includeHome);
-            for (const [tid, v] of busTrips.entries()) {
-                predBusByTrip.set(tid, { depHarv: v.depHarv, arrDisp: v.arrDisp });
-                if (includeHome && v.home) predHomeByTrip.set(tid, v.home);
-            }
-        }
+    const sched = [];
+    for (const sl of slices) {
+        sched.push(...(await loadSchedulesLegPairs(state, leg.routes, sl.date, fromKids, toKids, sl.min, sl.max, { withTrips }, ctx)));
     }
 
-    let busSorted = mergeBusByTripId(schedBusByTrip, schedHomeByTrip, predBusByTrip, predHomeByTrip);
-    if (includeHome) busSorted = busSorted.filter((b) => b.home && b.home > b.dep);
+    const pred = predResP ? settledValue(await predResP, null) : null;
+    const patterns = patternsP ? await patternsP : null;
 
-    const busLookup = new Map();
-    for (const b of busSorted) busLookup.set(`${b.dep.toISOString()}|${b.tripId}`, b);
-
-    /* ---------------- GREEN schedules always ---------------- */
-    let schedGreenPairs = [];
-    for (const sl of scheduleSlices) {
-        schedGreenPairs.push(...(await loadSchedulesGreenPairs(state, cfg, sl.date, arlKids, parkKids, sl.min, sl.max)));
-    }
-
-    /* ---------------- GREEN predictions optional (partial overlay) ---------------- */
-    let greenPairs = [];
-    if (wantsPred) {
-        const [, , greenRes] = await refreshP;
-        const greenPred = settledValue(greenRes, null);
-
-        if (greenPred) {
-            const { data: predData, stopParent } = greenPred;
-
-            const tripMap = buildTripStopTimesFromPred(
-                predData,
-                { arl: arlKids, park: parkKids },
-                cfg.predWindowMin,
-                stopParent,
-                start,
-            );
-
-            const predArl = predStopTimesFromTripMap(tripMap, "arl");
-            const predPark = predStopTimesFromTripMap(tripMap, "park");
-            greenPairs = mergePairsPartial(schedGreenPairs, predArl, predPark, start, end);
-        } else {
-            greenPairs = mergePairsPartial(schedGreenPairs, null, null, start, end);
-        }
+    let merged;
+    if (!pred) {
+        merged = mergePairsPartial(sched, null, null, start, end, !!leg.to && !patterns);
     } else {
-        greenPairs = mergePairsPartial(schedGreenPairs, null, null, start, end);
-    }
-
-    greenPairs.sort((a, b) => a.toT - b.toT);
-
-    /* ---------------- RED schedules always ---------------- */
-    let schedRedPairs = [];
-    for (const sl of scheduleSlices) {
-        schedRedPairs.push(...(await loadSchedulesRedPairs(state, cfg, sl.date, parkKids, harvKids, sl.min, sl.max)));
+        const { data: predData, stopParent, tripInfo } = pred;
+        const tripMap = buildTripStopTimesFromPred(
+            predData,
+            { from: fromKids, to: toKids },
+            cfg.predWindowMin,
+            stopParent,
+            start,
+        );
+
+        const cancelledOf = (rec) => (rec.cancelled ? "trip" : rec.skipped.from ? "from" : rec.skipped.to ? "to" : null);
+        const predTrips = new Map(
+            [...tripMap.entries()].map(([tid, rec]) => [tid, {
+                route: rec.route,
+                patternId: tripInfo?.get(tid)?.patternId || null,
+                cancelled: cancelledOf(rec),
+            }])
+        );
+
+        merged = mergePairsPartial(
+            sched,
+            predStopTimesFromTripMap(tripMap, "from", "dep"),
+            leg.to ? predStopTimesFromTripMap(tripMap, "to", "arr") : null,
+            start,
+            end,
+            !!leg.to && !patterns,
+            predTrips,
+        );
     }
 
-    /* ---------------- RED predictions optional (partial overlay) ---------------- */
-    let redPairs = [];
-    if (wantsPred) {
-        const [, , , redRes] = await refreshP;
-        const redPred = settledValue(redRes, null);
-
-        if (redPred) {
-            const { data: predData, stopParent } = redPred;
-
-            const tripMap = buildTripStopTimesFromPred(
-                predData,
-                { park: parkKids, harv: harvKids },
-                cfg.predWindowMin,
-                stopParent,
-                start,
-            );
-
-            const predPark = predStopTimesFromTripMap(tripMap, "park");
-            const predHarv = predStopTimesFromTripMap(tripMap, "harv");
-            redPairs = mergePairsPartial(schedRedPairs, predPark, predHarv, start, end);
-        } else {
-            redPairs = mergePairsPartial(schedRedPairs, null, null, start, end);
-        }
-    } else {
-        redPairs = mergePairsPartial(schedRedPairs, null, null, start, end);
-    }
+    // Without patterns (request failed), fall back to requiring a home time
+    if (!patterns) return patternsP ? merged.filter((p) => p.toT) : merged;
+    return applyRoutePatterns(merged, patterns, fromKids, toKids);
+}
 
-    redPairs = redPairs.filter((p) => p.fromT >= start && p.fromT <= end).sort((a, b) => a.fromT - b.fromT);
-
-    const bufferMs = Math.max(0, Number(state.layoverMin || 0)) * 60_000;
-
-    // Assign each Red -> next feasible bus
-    const assigned = [];
-    for (const rp of redPairs) {
-        const redPark = rp.fromT;
-        const redHarvArr = rp.toT;
-
-        // Arlington: last green with Park arrival <= RedPark - 1 min
-        // If the green arrival is already before "now", show "—"
-        let arlington = timeCell("—", false, "");
-        if (greenPairs.length) {
-            const cutoff = new Date(redPark.getTime() - 60_000);
-            const idx = upperBoundByToT(greenPairs, cutoff) - 1;
-            if (idx >= 0) {
-                const gp = greenPairs[idx];
-                const greenArl = gp.fromT;
-
-                const shown = greenArl && greenArl >= start ? fmtHHMM(greenArl) : "—";
-                const pred = gp.fromPred && shown !== "—";
-                const sched = gp.schedFromT ? fmtHHMM(gp.schedFromT) : ""; // empty => "No scheduled time available"
-                arlington = timeCell(shown, pred, sched);
-            }
-        }
+// ctx (mbta.js createContext): fetch, response cache, clock and the rest of the I/O state
+// (rate limit, record/replay, offline fallback, prediction streams). Defaults to the browser's;
+// in Node pass createContext({ fetch, clock: fixedClock(...), rateLimit: false }).
+export async function buildGroupsForWindow(state, cfg, ctx = browserContext) {
+    const itin = resolveItinerary(state);
+    const legs = itin.legs;
+    const last = legs[legs.length - 1];
 
-        const ready = new Date(redHarvArr.getTime() + bufferMs);
-        const b = lowerBoundByDep(busSorted, ready);
-
-        if (!b) {
-            assigned.push({
-                gkey: "NONE|__NONE__",
-                arlington,
-                redParkDate: redPark,
-                redParkPred: rp.fromPred,
-                redParkSched: rp.schedFromT,
-                waitMin: null,
-            });
-            continue;
-        }
-
-        const waitMin = Math.floor((b.dep - redHarvArr) / 60000);
-        assigned.push({
-            gkey: `${b.dep.toISOString()}|${b.tripId}`,
-            arlington,
-            redParkDate: redPark,
-            redParkPred: rp.fromPred,
-            redParkSched: rp.schedFromT,
-            waitMin,
-        });
-    }
-
-    // Group by bus trip key
-    const groupsMap = new Map();
-    for (const a of assigned) {
-        if (!groupsMap.has(a.gkey)) groupsMap.set(a.gkey, { key: a.gkey, meta: null, items: [] });
-        groupsMap.get(a.gkey).items.push(a);
-    }
+    const offlineSince = offlineMark(ctx);
+    const { now: start, overrideOk } = getNowInfo(state, ctx);
+    const end = new Date(start.getTime() + cfg.hours * 3600 * 1000);
+    const scheduleSlices = scheduleSlicesForWindow(start, end, 30);
 
-    // Keep bus groups visible even if no viable connections remain
-    for (const b of busSorted) {
-        if (!b.dep) continue;
-        const depInWindow = b.dep >= start && b.dep <= end;
-        const homeInWindow = includeHome && b.home && b.home >= start && b.home <= end;
-        if (!depInWindow && !homeInWindow) continue;
+    // Offline: schedules come from the imported GTFS feed; don't wait on predictions, alerts
+    // or route patterns
+    const offlineNow = await offlineFallbackActive(ctx);
+
+    // Child stops for every station the itinerary touches (home stop may be a plain stop id)
+    const stationIds = [...new Set(legs.flatMap((l) => (l.to ? [l.from, l.to] : [l.from])))];
+    const kidSets = await Promise.all(
+        stationIds.map((id) =>
+            id === itin.homeStop
+                ? childStops(state, id, ctx).catch(() => new Set([id]))
+                : childStops(state, id, ctx)
+        )
+    );
+    const kids = new Map(stationIds.map((id, i) => [id, kidSets[i]]));
 
-        const gkey = `${b.dep.toISOString()}|${b.tripId}`;
-        if (!groupsMap.has(gkey)) groupsMap.set(gkey, { key: gkey, meta: null, items: [] });
-    }
+    const wantsPred = canUsePredictions(state, ctx) && !offlineNow;
 
-    // Attach meta
-    for (const g of groupsMap.values()) {
-        const [depIso, tripId] = g.key.split("|");
-
-        if (tripId === "__NONE__") {
-            g.meta = {
-                tripId,
-                dep: null,
-                busArr: null,
-                busArrPred: false,
-                busArrSched: null,
-                home: null,
-                homePred: false,
-                homeSched: null,
-                parkBestDate: null,
-            };
-        } else {
-            const dep = new Date(depIso);
-            const b = busLookup.get(g.key) || null;
-            g.meta = {
-                tripId,
-                dep,
-                busArr: b?.arrDisp || null,
-                busArrPred: !!b?.arrPred,
-                busArrSched: b?.schedArr || null,
-                home: b?.home || null,
-                homePred: !!b?.homePred,
-                homeSched: b?.schedHome || null,
-                parkBestDate: null,
-            };
-        }
+    // Home leg: the evening trip's last leg, when it ends at a configured home stop
+    const homeIdx = itin.direction === "homebound" && itin.homeStop && last.to === itin.homeStop ? legs.length - 1 : -1;
+    const patternsP = homeIdx >= 0 && !offlineNow ? loadRoutePatterns(state, last.routes, ctx).catch(() => null) : null;
 
-        g.items.sort((x, y) => x.redParkDate - y.redParkDate);
-    }
+    // ---- START THE "REFRESH" REQUESTS IN PARALLEL: alerts + one prediction feed per leg ----
+    const alertP = offlineNow
+        ? Promise.reject(new Error("offline"))
+        : loadRelevantAlertsWithCounts(state, legs, kids, { maxAgeMs: cfg.alertsMaxAgeMs, start, end }, ctx);
 
-    let groupsOrdered = [...groupsMap.values()].sort((a, b) => {
-        const A = a.meta,
-            B = b.meta;
-        const aNone = A.tripId === "__NONE__",
-            bNone = B.tripId === "__NONE__";
-        if (aNone && bNone) return 0;
-        if (aNone) return 1;
-        if (bNone) return -1;
-        return A.dep - B.dep;
+    const predPs = legs.map((leg, i) => {
+        if (!wantsPred) return Promise.resolve(null);
+        const stopSet = new Set([...kids.get(leg.from), ...(leg.to ? kids.get(leg.to) : [])]);
+        return loadPredictions(state, leg.routes.join(","), csvFromSet(stopSet), { withTrips: i === homeIdx }, ctx);
     });
 
-    markBestGroups(groupsOrdered);
+    // Bundle so failures don't throw until inspected
+    const refreshP = Promise.allSettled([alertP, ...predPs]);
 
-    // Build rowsCollapsed/rowsExpanded
-    const out = [];
-    for (const g of groupsOrdered) {
-        let rowsExpanded;
-
-        // inside buildGroupsForWindow(), inside: for (const g of groupsOrdered) { ... }
-        if (!g.items.length) {
-            const busArr = g.meta.busArr instanceof Date ? g.meta.busArr : null;
-            const homeArr = includeHome && g.meta.home instanceof Date ? g.meta.home : null;
-
-            const onlyHomeLeft =
-                includeHome &&
-                homeArr && homeArr >= start && homeArr <= end &&
-                (!busArr || busArr < start || busArr > end);
-
-            const now = getNow(state);
-            const mhl = Math.max(0, Number(state.layoverMin || 0)); // Minimum Harvard Layover (minutes)
-
-            const minsToHarvardArr = busArr ? Math.max(0, Math.floor((busArr - now) / 60000)) : null;
-
-            // Proxy layover for empty groups (no viable Red): min(remaining mins until Harvard arrival, MHL)
-            const proxyLayoverMin =
-                minsToHarvardArr == null ? null : Math.min(minsToHarvardArr, mhl);
-
-            rowsExpanded = [{
-                arlington: timeCell("—", false, ""),
-                park: timeCell("—", false, ""),
-                layover: onlyHomeLeft
-                    ? "—"
-                    : (proxyLayoverMin == null ? "—" : padWait(proxyLayoverMin)),
-                harvard: onlyHomeLeft
-                    ? timeCell("—", false, "")
-                    : (busArr
-                        ? timeCell(
-                            fmtHHMM(busArr),
-                            g.meta.busArrPred,
-                            g.meta.busArrSched ? fmtHHMM(g.meta.busArrSched) : ""
-                        )
-                        : timeCell("—", false, "")),
-                home: includeHome
-                    ? (homeArr
-                        ? timeCell(
-                            fmtHHMM(homeArr),
-                            g.meta.homePred,
-                            g.meta.homeSched ? fmtHHMM(g.meta.homeSched) : ""
-                        )
-                        : "")
-                    : "",
-                bestRow: false,
-            }];
-
-            g.meta.parkBestDate = null;
-        } else {
-            rowsExpanded = g.items.map((it, idx) => {
-                const isLast = idx === g.items.length - 1;
-
-                const parkShown = fmtHHMM(it.redParkDate);
-                const parkSched = it.redParkSched ? fmtHHMM(it.redParkSched) : "";
-                const parkCell = timeCell(parkShown, it.redParkPred, parkSched);
-
-                const harvCell =
-                    isLast && g.meta.busArr
-                        ? timeCell(
-                            fmtHHMM(g.meta.busArr),
-                            g.meta.busArrPred,
-                            g.meta.busArrSched ? fmtHHMM(g.meta.busArrSched) : ""
-                        )
-                        : timeCell("", false, "");
-
-                const homeCell =
-                    isLast && includeHome && g.meta.home
-                        ? timeCell(
-                            fmtHHMM(g.meta.home),
-                            g.meta.homePred,
-                            g.meta.homeSched ? fmtHHMM(g.meta.homeSched) : ""
-                        )
-                        : timeCell("", false, "");
-
-                return {
-                    arlington: it.arlington,
-                    park: parkCell,
-                    layover: it.waitMin == null ? "—" : padWait(it.waitMin),
-                    harvard: harvCell,
-                    home: includeHome ? homeCell : "",
-                    bestRow: false,
-                };
-            });
-
-            const bestIdx = rowsExpanded.length - 1;
-            g.meta.parkBestDate = g.items[bestIdx]?.redParkDate || null;
-            if (bestIdx >= 0 && g.best) rowsExpanded[bestIdx].bestRow = true;
-        }
-
-        const lastRow = rowsExpanded[rowsExpanded.length - 1];
-        const rowsCollapsed = { ...lastRow };
-
-        // If collapsed Arlington is empty, keep last non-empty (helpful)
-        if (g.items.length) {
-            const lastItem = g.items[g.items.length - 1];
-            const a = rowsCollapsed.arlington?.text || "";
-            const la = lastItem.arlington?.text || "";
-            if (!a && la) rowsCollapsed.arlington = lastItem.arlington;
-        }
-
-        out.push({ key: g.key, tripId: g.meta.tripId, meta: g.meta, best: g.best, rowsCollapsed, rowsExpanded });
+    // Schedules always; predictions (partial overlay) once the bundle settles
+    const loadedPairs = [];
+    for (const [i, leg] of legs.entries()) {
+        const predResP = wantsPred ? refreshP.then((r) => r[i + 1]) : null;
+        loadedPairs.push(await loadLegPairs(state, cfg, leg, kids, scheduleSlices, predResP, start, end, i === homeIdx ? patternsP : null, ctx));
     }
 
-    // ---- Use alerts result (from the same refresh bundle) right before returning ----
+    // Alerts (same refresh bundle): shuttles/suspensions/detours reshape the affected legs
     const [alertRes] = await refreshP;
-    const alertInfo = settledValue(alertRes, { headers: [], counts: { red: 0, green: 0, bus: 0 } });
+    const alertInfo = settledValue(alertRes, {
+        alerts: [],
+        headers: [],
+        counts: legs.map((l) => ({ leg: l.id, label: l.label, count: 0 })),
+        disruptions: [],
+    });
+    const legPairs = loadedPairs.map((ps, i) =>
+        applyDisruptions(ps, disruptionsForLeg(alertInfo.disruptions, i), start, end, cfg)
+    );
 
-    return {
+    // The plan itself is pure (core.js); vehicles for the trips it shows come second, since
+    // crowding can move the best pick (only when predictions apply to the window)
+    const arriveBy = itin.direction === "outbound" ? parseArriveBy(state.arriveBy, start) : null;
+    const input = {
+        itinerary: itin,
         start,
         end,
-        includeHome,
-        alerts: alertInfo.headers,
-        alertCounts: alertInfo.counts,
-        alertsCountTotal: alertInfo.headers.length,
-        groups: out,
-        groupsAvailable: redPairs.length > 0,
+        legPairs,
+        alerts: alertInfo,
+        model: riskModel(state),
+        minProb: minReliability(state),
+        crowdWaitMin: Number(state.crowdWaitMin) || 0,
+        arriveBy,
+    };
+    let plan = planCommute(input);
+    if (wantsPred) {
+        const raw = await loadVehiclesForTrips(state, planTripIds(plan), ctx).catch(() => new Map());
+        if (raw.size) plan = planCommute({ ...input, vehicles: vehiclesByTrip(raw, legPairs, legs, kids) });
+    }
+
+    return {
+        ...planView(plan),
+        plan,
         overrideOk,
+        offline: await offlineScheduleSource(offlineSince, ctx),
     };
 }
@@ -0,0 +1,65 @@
+// risk.js
+// Chance of making a connection, from how uncertain each of the two times is.
+// Each time is treated as normally distributed around the shown value; the spread depends on
+// whether it's predicted or scheduled, how far ahead it is, and how far the prediction has
+// already drifted from the schedule.
+// ES module
+
+// Spreads in minutes (standard deviations).
+//   schedSigma   scheduled-only times
+//   predSigma    predictions due now, growing by perLeadMin per minute of lead time
+//   gapWeight    extra spread per minute the prediction differs from the schedule
+export const RISK_MODELS = {
+    relaxed: { name: "Relaxed", schedSigma: 1.5, predSigma: 0.3, perLeadMin: 0.02, gapWeight: 0.15 },
+    typical: { name: "Typical", schedSigma: 2.5, predSigma: 0.5, perLeadMin: 0.04, gapWeight: 0.25 },
+    cautious: { name: "Cautious", schedSigma: 4, predSigma: 1, perLeadMin: 0.06, gapWeight: 0.4 },
+};
+
+export const DEFAULT_RISK_MODEL = "typical";
+
+export function riskModel(state) {
+    return RISK_MODELS[state?.riskModel] || RISK_MODELS[DEFAULT_RISK_MODEL];
+}
+
+// 0..1 threshold for "reliable" (state.minReliability is a percentage; empty means the default)
+export function minReliability(state) {
+    const v = state?.minReliability;
+    const pct = v == null || String(v).trim() === "" ? NaN : Number(v);
+    return Number.isFinite(pct) ? Math.min(100, Math.max(0, pct)) / 100 : 0.8;
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function sigmaMin(t, pred, sched, now, model) {
+    if (!pred) return model.schedSigma;
+    const leadMin = Math.max(0, (t - now) / 60000);
+    const base = model.predSigma + leadMin * model.perLeadMin;
+    const gapMin = sched ? Math.abs(t - sched) / 60000 : 0;
+    return Math.hypot(base, gapMin * model.gapWeight);
+}
+
+// P(arrive + transfer walk <= depart) for one connection.
+// arr/dep: { t, pred, sched } (sched = scheduled Date or null)
+export function connectionProbability(arr, dep, transferMin, now, model) {
+    const slackMin = (dep.t - arr.t) / 60000 - transferMin;
+    const sigma = Math.hypot(
+        sigmaMin(arr.t, arr.pred, arr.sched, now, model),
+        sigmaMin(dep.t, dep.pred, dep.sched, now, model)
+    );
+    if (!(sigma > 0)) return slackMin >= 0 ? 1 : 0;
+    return normalCdf(slackMin / sigma);
+}
+
+// "safe" | "ok" | "risky" for the row indicator
+export function riskLevel(prob, minProb) {
+    if (prob >= Math.max(minProb, 0.95)) return "safe";
+    if (prob >= minProb) return "ok";
+    return "risky";
+}
@@ -1,17 +1,49 @@
 // state.js
 // LocalStorage is source of truth for ALL state.
 // On load: apply URL params once, then remove params from URL.
+// Commute settings live in named profiles; the active profile's fields are mirrored
+// onto the flat state object so the rest of the app reads state.homeStop etc. as before.
 // ES module
 
+import {
+    PRESETS,
+    DEFAULT_PRESET,
+    resolveItinerary,
+    parseTransferOverrides,
+    formatTransferOverrides,
+    parseEntranceWalks,
+    formatEntranceWalks,
+} from "./itinerary.js";
+import { RISK_MODELS, DEFAULT_RISK_MODEL } from "./risk.js";
+import { bostonTimeOn, hhmmBoston, weekdayBoston, ymdBoston } from "./time.js";
+import { escapeHtml } from "./ui.js";
+
 const LS_KEY = "mbta_commute_state_v1";
 
 const DEFAULTS = {
     // core
-    layoverMin: 1, // Minimum Harvard Layover (min)
+    layoverMin: 1, // Minimum layover before the last leg (min)
     apiKey: "",
     homeStop: "",
     startOverride: "",
 
+    // itinerary (see itinerary.js); valid custom JSON overrides the preset
+    itineraryPreset: "homebound",
+    itineraryJson: "",
+    direction: "homebound", // "homebound" (evening) | "outbound" (morning, reversed legs)
+    arriveBy: "", // outbound target arrival (HH:MM); best = latest departure that makes it
+    busRoutes: "", // CSV of candidate routes for the preset's bus leg ("" = preset's own)
+    transferTimes: {}, // walking minutes: { [station]: min, [`${station}|${fromRoute}>${toRoute}`]: min }
+    originWalk: {}, // minutes from office/home to the first stop: { "*": min, [entrance]: min }; adds "Leave"
+
+    // connection risk (see risk.js)
+    riskModel: DEFAULT_RISK_MODEL, // "relaxed" | "typical" | "cautious"
+    minReliability: 80, // % chance a row needs to count as reliable for "best"
+    crowdWaitMin: 0, // wait up to this many minutes for a less crowded anchor train (0 = off)
+
+    // live predictions over the V3 event stream instead of polling every minute
+    streamPredictions: false,
+
     // notifications (Electron-only enforced elsewhere)
     notifyMode: "disabled", // "disabled" | "silent" | "enabled"
     notifyLeadMin: 15,
@@ -25,8 +57,54 @@ const DEFAULTS = {
     lastNotifiedYMD: "",
     lastNotifiedTrainKey: "",
     lastNotifiedParkISO: "",
+
+    // profiles: { [id]: { name, ...PROFILE_KEYS } }; created from the flat fields on first load
+    profiles: null,
+    activeProfile: "",
+    weekdayProfiles: {}, // { [0..6]: profileId } (0 = Sunday)
+    profileAutoYMD: "", // day the weekday default was last applied (manual switches stick)
 };
 
+// Per-profile settings (everything else is global: API key, notify mode, tracking, …)
+const PROFILE_KEYS = [
+    "itineraryPreset",
+    "itineraryJson",
+    "direction",
+    "arriveBy",
+    "busRoutes",
+    "transferTimes",
+    "originWalk",
+    "homeStop",
+    "layoverMin",
+    "notifyLeadMin",
+    "commuteStart",
+];
+
+function pickProfileFields(obj) {
+    const out = {};
+    for (const k of PROFILE_KEYS) if (obj[k] !== undefined) out[k] = obj[k];
+    return out;
+}
+
+function profileIdFromName(name, profiles) {
+    const base = String(name || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+    let id = base;
+    for (let i = 2; profiles?.[id]; i++) id = `${base}-${i}`;
+    return id;
+}
+
+// Ensure profiles exist + mirror the active one onto the flat fields.
+function withProfiles(s) {
+    const profiles = s.profiles && typeof s.profiles === "object" && Object.keys(s.profiles).length
+        ? s.profiles
+        : { default: { name: "Evening home", ...pickProfileFields(s) } };
+
+    const activeProfile = profiles[s.activeProfile] ? s.activeProfile : Object.keys(profiles)[0];
+    const fields = { ...pickProfileFields(DEFAULTS), ...pickProfileFields(profiles[activeProfile]) };
+
+    return { ...s, ...fields, profiles, activeProfile, weekdayProfiles: s.weekdayProfiles || {} };
+}
+
 function safeJsonParse(s) {
     try {
         const x = JSON.parse(s);
@@ -39,22 +117,99 @@ function safeJsonParse(s) {
 export function loadState() {
     const raw = localStorage.getItem(LS_KEY);
     const parsed = raw ? safeJsonParse(raw) : null;
-    return { ...DEFAULTS, ...(parsed || {}) };
+    return withProfiles({ ...DEFAULTS, ...(parsed || {}) });
 }
 
 // IMPORTANT: saveState merges into existing localStorage state,
 // so unrelated fields (like selected75TripId) are never dropped.
+// Profile fields in the patch are written to the active profile; a patch that changes
+// activeProfile loads that profile's fields instead.
 export function saveState(patchOrFull) {
     const prev = loadState();
-    const next =
-        patchOrFull && patchOrFull.__replaceAll === true
-            ? { ...DEFAULTS, ...patchOrFull, __replaceAll: undefined }
-            : { ...prev, ...(patchOrFull || {}) };
+    const patch = patchOrFull || {};
+    let next =
+        patch.__replaceAll === true
+            ? withProfiles({ ...DEFAULTS, ...patch, __replaceAll: undefined })
+            : { ...prev, ...patch };
+
+    const switching = patch.activeProfile != null && patch.activeProfile !== prev.activeProfile;
+    if (switching) {
+        next = withProfiles(next);
+    } else {
+        const profiles = { ...next.profiles };
+        profiles[next.activeProfile] = { ...profiles[next.activeProfile], ...pickProfileFields(next) };
+        next.profiles = profiles;
+    }
 
     localStorage.setItem(LS_KEY, JSON.stringify(next));
     return next;
 }
 
+/* ---------------- Profiles ---------------- */
+
+export function listProfiles(state) {
+    return Object.entries(state.profiles || {}).map(([id, p]) => ({ id, name: p?.name || id }));
+}
+
+export function switchProfile(id) {
+    const s = loadState();
+    if (!s.profiles[id]) return s;
+    return saveState({ activeProfile: id });
+}
+
+// New profile starts as a copy of the active one.
+export function createProfile(name) {
+    const s = loadState();
+    const id = profileIdFromName(name, s.profiles);
+    const profiles = { ...s.profiles, [id]: { ...pickProfileFields(s), name: String(name || "").trim() || id } };
+    saveState({ profiles });
+    return saveState({ activeProfile: id });
+}
+
+export function renameProfile(id, name) {
+    const s = loadState();
+    const n = String(name || "").trim();
+    if (!s.profiles[id] || !n) return s;
+    return saveState({ profiles: { ...s.profiles, [id]: { ...s.profiles[id], name: n } } });
+}
+
+// The last profile can't be deleted.
+export function deleteProfile(id) {
+    const s = loadState();
+    if (!s.profiles[id] || Object.keys(s.profiles).length <= 1) return s;
+
+    const profiles = { ...s.profiles };
+    delete profiles[id];
+
+    const weekdayProfiles = {};
+    for (const [d, pid] of Object.entries(s.weekdayProfiles || {})) if (pid !== id) weekdayProfiles[d] = pid;
+
+    const activeProfile = s.activeProfile === id ? Object.keys(profiles)[0] : s.activeProfile;
+    return saveState({ profiles, weekdayProfiles, activeProfile });
+}
+
+// day: 0..6 (Sunday = 0). id "" clears that day's default.
+export function setWeekdayProfile(day, id) {
+    const s = loadState();
+    const weekdayProfiles = { ...(s.weekdayProfiles || {}) };
+    if (id && s.profiles[id]) weekdayProfiles[day] = id;
+    else delete weekdayProfiles[day];
+    return saveState({ weekdayProfiles });
+}
+
+// Switch to today's default profile once per day; later manual switches stick.
+export function applyWeekdayProfile(now = new Date()) {
+    const s = loadState();
+    const today = ymdBoston(now);
+    if (s.profileAutoYMD === today) return s;
+
+    const id = s.weekdayProfiles?.[weekdayBoston(now)];
+    if (id && s.profiles[id] && id !== s.activeProfile) {
+        saveState({ activeProfile: id });
+    }
+    return saveState({ profileAutoYMD: today });
+}
+
 function setIfPresent(patch, key, val) {
     if (val == null) return;
     const s = String(val).trim();
@@ -66,7 +221,9 @@ function parseBoolParam(v) {
     return s === "1" || s === "true" || s === "yes" || s === "on";
 }
 
+// Empty or non-numeric -> fallback (Number("") would be 0)
 function parseIntParam(v, fallback) {
+    if (v == null || String(v).trim() === "") return fallback;
     const n = Number(v);
     return Number.isFinite(n) ? n : fallback;
 }
@@ -78,6 +235,17 @@ export function applyUrlParamsAndStrip() {
     // If no params, just return current state.
     if ([...sp.keys()].length === 0) return loadState();
 
+    // Profile (by id or name): select it, or create it from the current settings.
+    // Any other params below then apply to that profile. Counts as today's manual choice.
+    const prof = (sp.get("profile") || "").trim();
+    if (prof) {
+        const s = loadState();
+        const hit = listProfiles(s).find((p) => p.id === prof || p.name.toLowerCase() === prof.toLowerCase());
+        if (hit) switchProfile(hit.id);
+        else createProfile(prof);
+        saveState({ profileAutoYMD: ymdBoston(new Date()) });
+    }
+
     const patch = {};
 
     // API key
@@ -92,7 +260,60 @@ export function applyUrlParamsAndStrip() {
     const start = sp.get("start");
     if (start != null) patch.startOverride = start;
 
-    // Minimum Harvard Layover
+    // Itinerary preset
+    const itin = sp.get("itin") || sp.get("preset");
+    if (itin != null) setIfPresent(patch, "itineraryPreset", itin);
+
+    // Direction: dir=out (morning) / dir=home (evening), plus optional arrive-by target
+    const dir = sp.get("dir");
+    if (dir != null) patch.direction = /^out/i.test(dir.trim()) ? "outbound" : "homebound";
+
+    const by = sp.get("by") || sp.get("arriveby");
+    if (by != null) patch.arriveBy = by.trim();
+
+    // Candidate bus routes (CSV)
+    const bus = sp.get("bus") || sp.get("routes");
+    if (bus != null) patch.busRoutes = bus.replace(/\s+/g, "");
+
+    // Station transfer times: xfer=place-pktrm:2,place-harsq:4
+    const xfer = sp.get("xfer");
+    if (xfer != null) {
+        const tt = { ...(loadState().transferTimes || {}) };
+        for (const part of xfer.split(",")) {
+            const [station, min] = part.split(":").map((x) => x.trim());
+            if (station && Number.isFinite(Number(min)) && min !== "") tt[station] = Number(min);
+        }
+        patch.transferTimes = tt;
+    }
+
+    // Walk to the first stop: walk=5, or per entrance walk=Boylston St:3,Arlington St:6
+    const walk = sp.get("walk");
+    if (walk != null) {
+        const ow = {};
+        for (const part of walk.split(",")) {
+            const [a, b] = part.split(":").map((x) => x.trim());
+            const [entrance, min] = b === undefined ? ["*", a] : [a, b];
+            if (entrance && min !== "" && Number.isFinite(Number(min))) ow[entrance] = Math.max(0, Number(min));
+        }
+        patch.originWalk = ow;
+    }
+
+    // Connection risk model + reliability threshold (%)
+    const risk = sp.get("risk");
+    if (risk != null && RISK_MODELS[risk.trim()]) patch.riskModel = risk.trim();
+
+    const reliable = sp.get("reliable");
+    if (reliable != null) patch.minReliability = parseIntParam(reliable, DEFAULTS.minReliability);
+
+    // Less crowded train: extra minutes worth waiting for one (crowd=5)
+    const crowd = sp.get("crowd");
+    if (crowd != null) patch.crowdWaitMin = parseIntParam(crowd, DEFAULTS.crowdWaitMin);
+
+    // Streaming predictions
+    const stream = sp.get("stream");
+    if (stream != null) patch.streamPredictions = parseBoolParam(stream);
+
+    // Minimum layover before the last leg
     const mhl = sp.get("mhl") || sp.get("buffer") || sp.get("layover");
     if (mhl != null) patch.layoverMin = parseIntParam(mhl, DEFAULTS.layoverMin);
 
@@ -134,8 +355,29 @@ export function bindControls(state, onChange) {
         homeStop: document.getElementById("homeStop"),
         startOverride: document.getElementById("startOverride"),
         apiKey: document.getElementById("apiKey"),
+        itineraryPreset: document.getElementById("itineraryPreset"),
+        itineraryJson: document.getElementById("itineraryJson"),
+        arriveBy: document.getElementById("arriveBy"),
+        busRoutes: document.getElementById("busRoutes"),
+        transferTable: document.getElementById("transferTable"),
+        transferOverrides: document.getElementById("transferOverrides"),
+        originWalkMin: document.getElementById("originWalkMin"),
+        originEntrances: document.getElementById("originEntrances"),
+        originWalkStation: document.getElementById("originWalkStation"),
+        riskModel: document.getElementById("riskModel"),
+        minReliability: document.getElementById("minReliability"),
+        crowdWaitMin: document.getElementById("crowdWaitMin"),
+        streamPredictions: document.getElementById("streamPredictions"),
+        arriveByRow: document.getElementById("arriveByRow"),
         resetBtn: document.getElementById("resetBtn"),
 
+        // profiles
+        profileSelect: document.getElementById("profileSelect"),
+        profileNew: document.getElementById("profileNew"),
+        profileRename: document.getElementById("profileRename"),
+        profileDelete: document.getElementById("profileDelete"),
+        profileDays: document.getElementById("profileDays"),
+
         // notifications
         notifyLeadMin: document.getElementById("notifyLeadMin"),
         commuteStart: document.getElementById("commuteStart"),
@@ -144,19 +386,146 @@ export function bindControls(state, onChange) {
 
     function emit(patch) {
         const next = saveState(patch);
+        renderTransferTable(next);
+        renderOriginStation(next);
+        onChange?.(next);
+    }
+
+    // The origin walk ends at the first leg's board stop (Arlington evenings, the bus stop mornings)
+    function renderOriginStation(s) {
+        if (els.originWalkStation) els.originWalkStation.textContent = resolveItinerary(s).legs[0].fromLabel;
+    }
+
+    // One row per transfer station of the current itinerary; empty = the itinerary's default
+    function renderTransferTable(s) {
+        if (!els.transferTable) return;
+        const defaults = resolveItinerary({ ...s, transferTimes: {} }).legs;
+        const tt = s.transferTimes || {};
+
+        els.transferTable.innerHTML = "";
+        defaults.forEach((leg, i) => {
+            if (i === 0) return;
+            const row = document.createElement("label");
+            row.className = "transferRow";
+            row.innerHTML = `<span>${escapeHtml(leg.fromLabel)} <small>${escapeHtml(defaults[i - 1].label)} → ${escapeHtml(leg.label)}</small></span>`;
+
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = "0";
+            input.step = "1";
+            input.placeholder = String(leg.transferMin);
+            input.value = tt[leg.from] ?? "";
+            input.addEventListener("change", () => {
+                const next = { ...(loadState().transferTimes || {}) };
+                const v = String(input.value).trim();
+                if (v === "" || !Number.isFinite(Number(v))) delete next[leg.from];
+                else next[leg.from] = Math.max(0, Number(v));
+                emit({ transferTimes: next });
+            });
+            row.append(input);
+            els.transferTable.append(row);
+        });
+    }
+
+    if (els.itineraryPreset) {
+        els.itineraryPreset.innerHTML = Object.entries(PRESETS)
+            .map(([id, p]) => `<option value="${id}">${p.name}</option>`)
+            .join("");
+    }
+
+    if (els.riskModel) {
+        els.riskModel.innerHTML = Object.entries(RISK_MODELS)
+            .map(([id, m]) => `<option value="${id}">${m.name}</option>`)
+            .join("");
+    }
+
+    const dirRadios = document.querySelectorAll('input[name="direction"]');
+    function setDirectionUI(dir) {
+        const v = dir === "outbound" ? "outbound" : "homebound";
+        for (const r of dirRadios) r.checked = (r.value === v);
+        if (els.arriveByRow) els.arriveByRow.hidden = v !== "outbound";
+    }
+
+    // Initialize values (defensive: elements may be missing). Re-run after a profile switch.
+    function fillControls(s) {
+        if (els.layoverMin) els.layoverMin.value = String(s.layoverMin ?? DEFAULTS.layoverMin);
+        if (els.homeStop) els.homeStop.value = s.homeStop || "";
+        if (els.startOverride) els.startOverride.value = s.startOverride || "";
+        if (els.apiKey) els.apiKey.value = s.apiKey || "";
+        if (els.itineraryPreset) els.itineraryPreset.value = PRESETS[s.itineraryPreset] ? s.itineraryPreset : DEFAULT_PRESET;
+        if (els.itineraryJson) els.itineraryJson.value = s.itineraryJson || "";
+        if (els.arriveBy) els.arriveBy.value = s.arriveBy || "";
+        if (els.busRoutes) els.busRoutes.value = s.busRoutes || "";
+        if (els.transferOverrides) els.transferOverrides.value = formatTransferOverrides(s.transferTimes);
+        renderTransferTable(s);
+        if (els.originWalkMin) els.originWalkMin.value = s.originWalk?.["*"] ?? "";
+        if (els.originEntrances) els.originEntrances.value = formatEntranceWalks(s.originWalk);
+        renderOriginStation(s);
+        if (els.riskModel) els.riskModel.value = RISK_MODELS[s.riskModel] ? s.riskModel : DEFAULT_RISK_MODEL;
+        if (els.minReliability) els.minReliability.value = String(s.minReliability ?? DEFAULTS.minReliability);
+        if (els.crowdWaitMin) els.crowdWaitMin.value = String(s.crowdWaitMin ?? DEFAULTS.crowdWaitMin);
+        if (els.streamPredictions) els.streamPredictions.checked = !!s.streamPredictions;
+        setDirectionUI(s.direction);
+
+        if (els.notifyEnabled) els.notifyEnabled.checked = !!s.notifyEnabled;
+        if (els.notifyLeadMin) els.notifyLeadMin.value = String(s.notifyLeadMin ?? DEFAULTS.notifyLeadMin);
+        if (els.commuteStart) els.commuteStart.value = s.commuteStart || DEFAULTS.commuteStart;
+        if (els.notifySilent) els.notifySilent.checked = !!s.notifySilent;
+
+        renderProfileControls(s);
+    }
+
+    function renderProfileControls(s) {
+        if (els.profileSelect) {
+            els.profileSelect.innerHTML = listProfiles(s)
+                .map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+                .join("");
+            els.profileSelect.value = s.activeProfile;
+        }
+        if (els.profileDelete) els.profileDelete.disabled = listProfiles(s).length <= 1;
+
+        if (els.profileDays) {
+            els.profileDays.innerHTML = "";
+            // Monday-first chips; "on" = this profile is that day's default
+            for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+                const b = document.createElement("button");
+                b.type = "button";
+                b.className = "chip";
+                b.textContent = WEEKDAY_LABELS[day];
+                const on = s.weekdayProfiles?.[day] === s.activeProfile;
+                b.classList.toggle("on", on);
+                b.setAttribute("aria-pressed", String(on));
+                b.addEventListener("click", () => {
+                    const next = setWeekdayProfile(day, on ? "" : s.activeProfile);
+                    renderProfileControls(next);
+                });
+                els.profileDays.append(b);
+            }
+        }
+    }
+
+    function emitProfileChange(next) {
+        fillControls(next);
         onChange?.(next);
     }
 
-    // Initialize values (defensive: elements may be missing)
-    if (els.layoverMin) els.layoverMin.value = String(state.layoverMin ?? DEFAULTS.layoverMin);
-    if (els.homeStop) els.homeStop.value = state.homeStop || "";
-    if (els.startOverride) els.startOverride.value = state.startOverride || "";
-    if (els.apiKey) els.apiKey.value = state.apiKey || "";
+    fillControls(state);
 
-    if (els.notifyEnabled) els.notifyEnabled.checked = !!state.notifyEnabled;
-    if (els.notifyLeadMin) els.notifyLeadMin.value = String(state.notifyLeadMin ?? DEFAULTS.notifyLeadMin);
-    if (els.commuteStart) els.commuteStart.value = state.commuteStart || DEFAULTS.commuteStart;
-    if (els.notifySilent) els.notifySilent.checked = !!state.notifySilent;
+    els.profileSelect?.addEventListener("change", () => emitProfileChange(switchProfile(els.profileSelect.value)));
+    els.profileNew?.addEventListener("click", () => {
+        const name = window.prompt("New profile name (copies current settings):", "");
+        if (name && name.trim()) emitProfileChange(createProfile(name));
+    });
+    els.profileRename?.addEventListener("click", () => {
+        const s = loadState();
+        const name = window.prompt("Rename profile:", s.profiles[s.activeProfile]?.name || "");
+        if (name && name.trim()) renderProfileControls(renameProfile(s.activeProfile, name));
+    });
+    els.profileDelete?.addEventListener("click", () => {
+        const s = loadState();
+        const name = s.profiles[s.activeProfile]?.name || s.activeProfile;
+        if (window.confirm(`Delete profile "${name}"?`)) emitProfileChange(deleteProfile(s.activeProfile));
+    });
 
     // Listeners
     els.layoverMin?.addEventListener("change", () => {
@@ -166,6 +535,43 @@ export function bindControls(state, onChange) {
     els.homeStop?.addEventListener("change", () => emit({ homeStop: String(els.homeStop.value || "").trim() }));
     els.startOverride?.addEventListener("change", () => emit({ startOverride: String(els.startOverride.value || "").trim() }));
     els.apiKey?.addEventListener("change", () => emit({ apiKey: String(els.apiKey.value || "").trim() }));
+    els.itineraryPreset?.addEventListener("change", () => emit({ itineraryPreset: els.itineraryPreset.value }));
+    els.itineraryJson?.addEventListener("change", () => emit({ itineraryJson: String(els.itineraryJson.value || "").trim() }));
+    els.arriveBy?.addEventListener("change", () => emit({ arriveBy: String(els.arriveBy.value || "").trim() }));
+    els.busRoutes?.addEventListener("change", () => emit({ busRoutes: String(els.busRoutes.value || "").replace(/\s+/g, "") }));
+    els.transferOverrides?.addEventListener("change", () => {
+        // Station-level entries come from the table; the textarea owns the route-specific ones
+        const stations = Object.fromEntries(Object.entries(loadState().transferTimes || {}).filter(([k]) => !k.includes("|")));
+        emit({ transferTimes: { ...stations, ...parseTransferOverrides(els.transferOverrides.value) } });
+    });
+
+    // Plain walk from the number input, per-entrance walks from the textarea
+    els.originWalkMin?.addEventListener("change", () => {
+        const entrances = Object.fromEntries(Object.entries(loadState().originWalk || {}).filter(([k]) => k !== "*"));
+        const v = String(els.originWalkMin.value).trim();
+        emit({ originWalk: v === "" || !Number.isFinite(Number(v)) ? entrances : { "*": Math.max(0, Number(v)), ...entrances } });
+    });
+    els.originEntrances?.addEventListener("change", () => {
+        const plain = loadState().originWalk?.["*"];
+        emit({ originWalk: { ...(plain !== undefined ? { "*": plain } : {}), ...parseEntranceWalks(els.originEntrances.value) } });
+    });
+
+    els.streamPredictions?.addEventListener("change", () => emit({ streamPredictions: els.streamPredictions.checked }));
+    els.riskModel?.addEventListener("change", () => emit({ riskModel: els.riskModel.value }));
+    els.minReliability?.addEventListener("change", () => {
+        emit({ minReliability: parseIntParam(els.minReliability.value, DEFAULTS.minReliability) });
+    });
+    els.crowdWaitMin?.addEventListener("change", () => {
+        emit({ crowdWaitMin: parseIntParam(els.crowdWaitMin.value, DEFAULTS.crowdWaitMin) });
+    });
+
+    for (const r of dirRadios) {
+        r.addEventListener("change", () => {
+            if (!r.checked) return;
+            setDirectionUI(r.value);
+            emit({ direction: r.value });
+        });
+    }
 
     els.notifyLeadMin?.addEventListener("change", () => emit({ notifyLeadMin: parseIntParam(els.notifyLeadMin.value, DEFAULTS.notifyLeadMin) }));
     els.commuteStart?.addEventListener("change", () => emit({ commuteStart: String(els.commuteStart.value || "").trim() }));
@@ -194,21 +600,17 @@ export function bindControls(state, onChange) {
 
     return els;
 }
-function fmt2(n) { return String(n).padStart(2, "0"); }
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
 function formatStartOverride(d) {
-  // YYYY-MM-DD HH:MM
-  return `${d.getFullYear()}-${fmt2(d.getMonth() + 1)}-${fmt2(d.getDate())} ${fmt2(d.getHours())}:${fmt2(d.getMinutes())}`;
+  // YYYY-MM-DD HH:MM, Boston time (what parseStartOverride reads back)
+  return `${ymdBoston(d)} ${hhmmBoston(d)}`;
 }
 
 function parseHHMMToday(hhmm, baseDate = new Date()) {
   const m = String(hhmm || "").match(/^(\d{1,2}):(\d{2})$/);
   if (!m) return null;
-  const hh = Number(m[1]), mm = Number(m[2]);
-  if (!Number.isFinite(hh) || !Number.isFinite(mm)) return null;
-  const d = new Date(baseDate);
-  d.setHours(hh, mm, 0, 0);
-  return d;
+  return bostonTimeOn(baseDate, Number(m[1]), Number(m[2]));
 }
 
 function renderStartChips({ emit, getState }) {
@@ -1,6 +1,6 @@
 // sw.js (shell-only, no MBTA/API caching)
 
-const VERSION = "v6";
+const VERSION = "v19";
 const SHELL_CACHE = `shell-${VERSION}`;
 
 // Keep this list in sync with your actual built assets.
@@ -11,6 +11,12 @@ const APP_SHELL = [
   "./app.js",
   "./mbta.js",
   "./planner.js",
+  "./core.js",
+  "./view.js",
+  "./itinerary.js",
+  "./risk.js",
+  "./gtfs.js",
+  "./time.js",
   "./state.js",
   "./ui.js",
   "./notify.js",
@@ -0,0 +1,98 @@
+// test/best.test.js
+// Best-group marks (core.js): which bus to aim for, and which connection within it; and the
+// "Reliable connection" threshold they are marked against (risk.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { markBestGroups } from "../core.js";
+import { minReliability } from "../risk.js";
+import { at } from "./helpers.js";
+
+// group("B1040", [[anchor "HH:MM", prob, crowd?], ...])
+function group(tripId, conns) {
+    return {
+        key: tripId,
+        tripId,
+        connections: conns.map(([hhmm, prob, crowd = null]) => ({ anchorT: at(`2026-10-19 ${hhmm}`), prob, crowd })),
+    };
+}
+
+const marks = (groups) => groups.map((g) => [g.tripId, g.best, g.bestIdx]);
+
+test("the last group with connections is never best", () => {
+    const groups = [group("B1040", [["17:04", 0.97]]), group("B1055", [["17:12", 0.95]])];
+    assert.deepEqual(marks(markBestGroups(groups, 0.9)), [["B1040", true, 0], ["B1055", false, 0]]);
+});
+
+test("best connection is the latest reliable one", () => {
+    const groups = [group("B1055", [["17:12", 0.97], ["17:20", 0.95], ["17:28", 0.4]]), group("B1070", [["17:28", 0.99]])];
+    assert.deepEqual(marks(markBestGroups(groups, 0.9))[0], ["B1055", true, 1]);
+});
+
+test("reliable groups beat merely feasible ones", () => {
+    const groups = [
+        group("B1025", [["16:58", 0.3]]),
+        group("B1040", [["17:04", 0.97]]),
+        group("B1055", [["17:12", 0.5]]),
+        group("B1070", [["17:28", 0.99]]),
+    ];
+    assert.deepEqual(marks(markBestGroups(groups, 0.9)), [
+        ["B1025", false, 0],
+        ["B1040", true, 0],
+        ["B1055", false, 0],
+        ["B1070", false, 0],
+    ]);
+});
+
+test("without any reliable group every feasible one counts", () => {
+    const groups = [group("B1040", [["17:04", 0.5], ["17:12", 0.3]]), group("B1055", [["17:20", 0.6]]), group("B1070", [["17:28", 0.7]])];
+    assert.deepEqual(marks(markBestGroups(groups, 0.9)), [["B1040", true, 1], ["B1055", true, 0], ["B1070", false, 0]]);
+});
+
+test("groups without connections and the no-trip group are never best", () => {
+    const groups = [
+        group("S1032", []),
+        group("B1040", [["17:04", 0.97]]),
+        group("B1055", [["17:12", 0.95]]),
+        group("__NONE__", [["17:20", 1]]),
+    ];
+    assert.deepEqual(marks(markBestGroups(groups, 0.9)).map(([id, best]) => [id, best]), [
+        ["S1032", false],
+        ["B1040", true],
+        ["B1055", false],
+        ["__NONE__", false],
+    ]);
+});
+
+test("crowdWaitMin hands a crowded best to the next group's emptier connection", () => {
+    const groups = () => [
+        group("B1040", [["17:04", 0.97, 2]]),
+        group("B1055", [["17:06", 0.95, 2], ["17:12", 0.97, 0]]),
+        group("B1070", [["17:28", 0.99]]),
+    ];
+    assert.deepEqual(marks(markBestGroups(groups(), 0.9)), [["B1040", true, 0], ["B1055", true, 1], ["B1070", false, 0]]);
+    assert.deepEqual(marks(markBestGroups(groups(), 0.9, { crowdWaitMin: 10 })), [["B1040", false, 0], ["B1055", true, 1], ["B1070", false, 0]]);
+    // Too long a wait for the emptier train: stays put
+    assert.deepEqual(marks(markBestGroups(groups(), 0.9, { crowdWaitMin: 5 }))[0], ["B1040", true, 0]);
+});
+
+test("crowdWaitMin never trades the crowded best for a less likely connection", () => {
+    const groups = () => [
+        group("B1040", [["17:04", 0.97, 2]]),
+        group("B1055", [["17:08", 0.92, 0], ["17:12", 0.98, 2]]),
+        group("B1070", [["17:28", 0.99]]),
+    ];
+    // 17:08 is emptier and still above minProb, but less likely than the 17:04 it would replace
+    assert.deepEqual(marks(markBestGroups(groups(), 0.9, { crowdWaitMin: 10 })), [["B1040", true, 0], ["B1055", true, 1], ["B1070", false, 0]]);
+});
+
+test("an empty Reliable connection field means the default 80%, not 0", () => {
+    assert.equal(minReliability({ minReliability: "" }), 0.8);
+    assert.equal(minReliability({ minReliability: "  " }), 0.8);
+    assert.equal(minReliability({ minReliability: "abc" }), 0.8);
+    assert.equal(minReliability({ minReliability: "0" }), 0);
+
+    // At 0 the 50% bus would count as reliable and be marked best
+    const groups = [group("B1040", [["17:04", 0.5]]), group("B1055", [["17:12", 0.9]]), group("B1070", [["17:28", 0.99]])];
+    assert.deepEqual(marks(markBestGroups(groups, minReliability({ minReliability: "" }))), [["B1040", false, 0], ["B1055", true, 0], ["B1070", false, 0]]);
+});
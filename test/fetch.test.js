@@ -0,0 +1,67 @@
+// test/fetch.test.js
+// fetchJson (mbta.js): conditional requests and in-flight sharing, kept per context.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BASE, createContext, fetchJson, startRecording, stopRecording } from "../mbta.js";
+
+// A fetch serving one body with an ETag, answering 304 when it's sent back; logs the
+// conditional header of every request
+function etagFetch(body, etag = '"v1"') {
+    const sent = [];
+    const fetch = async (url, init) => {
+        const tag = init?.headers?.["If-None-Match"] ?? null;
+        sent.push(tag);
+        if (tag === etag) return new Response(null, { status: 304 });
+        return Response.json(body, { headers: { etag } });
+    };
+    return { fetch, sent };
+}
+
+const url = `${BASE}/alerts`;
+const body = { data: [{ type: "alert", id: "a1" }] };
+
+test("a 304 reuses the body the same context saw", async () => {
+    const { fetch, sent } = etagFetch(body);
+    const ctx = createContext({ fetch, rateLimit: false });
+    assert.deepEqual(await fetchJson({}, url, null, ctx), body);
+    assert.deepEqual(await fetchJson({}, url, null, ctx), body);
+    assert.deepEqual(sent, [null, '"v1"']);
+});
+
+test("validators don't leak between contexts", async () => {
+    const { fetch, sent } = etagFetch(body);
+    await fetchJson({}, url, null, createContext({ fetch, rateLimit: false }));
+    await fetchJson({}, url, null, createContext({ fetch, rateLimit: false }));
+    assert.deepEqual(sent, [null, null]);
+});
+
+test("conditional: false never sends validators", async () => {
+    const { fetch, sent } = etagFetch(body);
+    const ctx = createContext({ fetch, rateLimit: false, conditional: false });
+    await fetchJson({}, url, null, ctx);
+    await fetchJson({}, url, null, ctx);
+    assert.deepEqual(sent, [null, null]);
+    assert.equal(ctx.validators.size, 0);
+});
+
+test("identical requests in flight share one fetch, until a recording starts", async () => {
+    let calls = 0;
+    const fetch = async () => {
+        calls++;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return Response.json(body);
+    };
+    const ctx = createContext({ fetch, rateLimit: false });
+
+    await Promise.all([fetchJson({}, url, null, ctx), fetchJson({}, url, null, ctx)]);
+    assert.equal(calls, 1);
+
+    // The request started before recording isn't joined: the recording gets its own response
+    const before = fetchJson({}, url, null, ctx);
+    startRecording("t", ctx);
+    const during = fetchJson({}, url, null, ctx);
+    await Promise.all([before, during]);
+    assert.equal(calls, 3);
+    assert.deepEqual(stopRecording({}, ctx).entries.map((e) => e.key), [url]);
+});
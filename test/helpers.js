@@ -0,0 +1,60 @@
+// test/helpers.js
+// Shared by the test files: Boston times, fixtures, and a fetch that answers from a fixture.
+// ES module
+
+import { readFileSync } from "node:fs";
+import { createContext, fixedClock } from "../mbta.js";
+import { bostonDate, hhmmBoston } from "../time.js";
+
+// "2026-10-19 17:00" (Boston) -> Date, whatever TZ the tests run in
+export function at(s) {
+    const [, yy, mm, dd, hh, mi] = s.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})$/).map(Number);
+    return bostonDate(yy, mm, dd, hh, mi);
+}
+
+export function fixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+}
+
+// Response body of the first fixture entry whose URL path starts with `path` and has all `params`
+export function fixtureBody(session, path, params = {}) {
+    const e = session.entries.find(({ key }) => {
+        const u = new URL(key);
+        return u.pathname.startsWith(path) && Object.entries(params).every(([k, v]) => u.searchParams.get(k) === v);
+    });
+    if (!e) throw new Error(`No ${path} response in ${session.name}`);
+    return e.body;
+}
+
+// Fixtures are hand-built sessions in the Advanced → Record refresh format (synthetic trips at
+// real stop ids, not captured from the live API): every response keyed by request URL.
+// The fetch answers from the session and notes URLs it doesn't have in `misses`.
+export function sessionFetch(session) {
+    const entries = new Map(session.entries.map(({ key, ...e }) => [key, e]));
+    const misses = [];
+    const fetch = async (url) => {
+        const u = new URL(url);
+        u.searchParams.delete("api_key");
+        const e = entries.get(u.toString());
+        if (!e) {
+            misses.push(u.toString());
+            return new Response("Not in fixture", { status: 404 });
+        }
+        return e.status >= 400
+            ? new Response(e.text || "", { status: e.status })
+            : new Response(JSON.stringify(e.body), { status: e.status, headers: { "content-type": "application/vnd.api+json" } });
+    };
+    return { fetch, misses };
+}
+
+// Context for planning against a session: its fetch, its "now", no rate limit
+export function sessionContext(session) {
+    const { fetch, misses } = sessionFetch(session);
+    const ctx = createContext({ fetch, clock: fixedClock(session.now), rateLimit: false });
+    return { ctx, misses };
+}
+
+// Boston "HH:MM" of a Date (null stays null), for comparing against the timetable
+export function hhmm(d) {
+    return d ? hhmmBoston(d) : null;
+}
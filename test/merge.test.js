@@ -0,0 +1,153 @@
+// test/merge.test.js
+// Schedule/prediction merge for one leg: window-aware schedule picks and per-stop overlay.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergePairsPartial, pickSchedBestForWindow } from "../planner.js";
+import { at, hhmm } from "./helpers.js";
+
+const start = at("2026-10-19 17:00");
+const end = at("2026-10-19 19:00");
+
+const sched = (tripId, from, to, route = "Red") => ({ tripId, route, fromT: at(from), toT: to ? at(to) : null });
+
+test("cross-date trip id collision: the departure inside the window wins", () => {
+    const pairs = [
+        sched("R1023", "2026-10-20 17:03", "2026-10-20 17:13"),
+        sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13"),
+    ];
+    assert.equal(pickSchedBestForWindow(pairs, start, end).get("R1023").fromT.getTime(), at("2026-10-19 17:03").getTime());
+
+    const tomorrow = pickSchedBestForWindow(pairs, at("2026-10-20 17:00"), at("2026-10-20 19:00"));
+    assert.equal(tomorrow.get("R1023").fromT.getTime(), at("2026-10-20 17:03").getTime());
+});
+
+test("two departures inside the window: the earlier one", () => {
+    const pairs = [
+        sched("B1055", "2026-10-19 18:35", "2026-10-19 18:47"),
+        sched("B1055", "2026-10-19 17:35", "2026-10-19 17:47"),
+    ];
+    assert.equal(hhmm(pickSchedBestForWindow(pairs, start, end).get("B1055").fromT), "17:35");
+});
+
+test("no departure inside the window: the one closest to its start", () => {
+    const pairs = [
+        sched("B1310", "2026-10-19 21:50", "2026-10-19 22:02"),
+        sched("B1310", "2026-10-18 16:40", "2026-10-18 16:52"),
+        sched("B1310", "2026-10-19 16:50", "2026-10-19 17:02"),
+    ];
+    const best = pickSchedBestForWindow(pairs, start, end).get("B1310");
+    assert.equal(best.fromT.getTime(), at("2026-10-19 16:50").getTime());
+});
+
+test("predictions overlay the schedule stop by stop", () => {
+    const out = mergePairsPartial(
+        [sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13"), sched("R1031", "2026-10-19 17:11", "2026-10-19 17:21")],
+        new Map([["R1023", at("2026-10-19 17:05")], ["R1031", at("2026-10-19 17:12")]]),
+        new Map([["R1031", at("2026-10-19 17:22")]]),
+        start,
+        end,
+    );
+    assert.deepEqual(
+        out.map((p) => [p.tripId, hhmm(p.fromT), p.fromPred, hhmm(p.toT), p.toPred, hhmm(p.schedFromT), hhmm(p.schedToT)]),
+        [
+            ["R1023", "17:05", true, "17:13", false, "17:03", "17:13"],
+            ["R1031", "17:12", true, "17:22", true, "17:11", "17:21"],
+        ],
+    );
+});
+
+test("missing predictions leave the scheduled times", () => {
+    const out = mergePairsPartial([sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13")], new Map(), new Map(), start, end);
+    assert.equal(out.length, 1);
+    assert.equal(out[0].fromPred, false);
+    assert.equal(out[0].toPred, false);
+    assert.equal(hhmm(out[0].fromT), "17:03");
+
+    // No prediction feed at all (request failed or simulated time)
+    const [p] = mergePairsPartial([sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13")], null, null, start, end);
+    assert.equal(p.fromPred, false);
+    assert.equal(hhmm(p.toT), "17:13");
+});
+
+test("prediction-only trips take route and pattern from the prediction feed", () => {
+    const out = mergePairsPartial(
+        [],
+        new Map([["ADDED-1", at("2026-10-19 17:20")]]),
+        new Map([["ADDED-1", at("2026-10-19 17:30")]]),
+        start,
+        end,
+        true,
+        new Map([["ADDED-1", { route: "Red", patternId: "Red-1-1", cancelled: null }]]),
+    );
+    assert.deepEqual(
+        out.map((p) => [p.tripId, p.route, p.patternId, p.schedFromT, "cancelled" in p]),
+        [["ADDED-1", "Red", "Red-1-1", null, false]],
+    );
+});
+
+test("board-only trips need requireTo=false", () => {
+    const from = new Map([["B1040", at("2026-10-19 17:22")]]);
+    assert.deepEqual(mergePairsPartial([], from, new Map(), start, end), []);
+    const [p] = mergePairsPartial([], from, new Map(), start, end, false);
+    assert.equal(p.toT, null);
+    assert.equal(hhmm(p.fromT), "17:22");
+});
+
+test("wrong-direction pairs are dropped", () => {
+    const out = mergePairsPartial(
+        [sched("OR1021", "2026-10-19 17:11", "2026-10-19 17:01")],
+        new Map([["R1023", at("2026-10-19 17:13")]]),
+        new Map([["R1023", at("2026-10-19 17:03")]]),
+        start,
+        end,
+    );
+    assert.deepEqual(out, []);
+});
+
+test("a late board prediction past the scheduled alight drops the trip", () => {
+    const out = mergePairsPartial(
+        [sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13")],
+        new Map([["R1023", at("2026-10-19 17:14")]]),
+        null,
+        start,
+        end,
+    );
+    assert.deepEqual(out, []);
+});
+
+test("cancelled trips and skipped stops are kept, flagged, on their schedule", () => {
+    const out = mergePairsPartial(
+        [sched("R1035", "2026-10-19 17:35", "2026-10-19 17:45"), sched("R1051", "2026-10-19 17:51", "2026-10-19 18:01")],
+        new Map(),
+        new Map(),
+        start,
+        end,
+        true,
+        new Map([["R1035", { route: "Red", cancelled: "trip" }], ["R1051", { route: "Red", cancelled: "to" }]]),
+    );
+    assert.deepEqual(out.map((p) => [p.tripId, p.cancelled, hhmm(p.fromT)]), [["R1035", "trip", "17:35"], ["R1051", "to", "17:51"]]);
+});
+
+test("cross-date collision: predictions overlay the window's departure", () => {
+    const [p] = mergePairsPartial(
+        [sched("R1023", "2026-10-20 17:03", "2026-10-20 17:13"), sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13")],
+        new Map([["R1023", at("2026-10-19 17:04")]]),
+        null,
+        start,
+        end,
+    );
+    assert.equal(p.schedFromT.getTime(), at("2026-10-19 17:03").getTime());
+    assert.equal(p.toT.getTime(), at("2026-10-19 17:13").getTime());
+});
+
+test("merged pairs come out by departure", () => {
+    const out = mergePairsPartial(
+        [sched("R1039", "2026-10-19 17:19", "2026-10-19 17:29"), sched("R1023", "2026-10-19 17:03", "2026-10-19 17:13")],
+        new Map([["R1039", at("2026-10-19 17:01")]]),
+        null,
+        start,
+        end,
+    );
+    assert.deepEqual(out.map((p) => p.tripId), ["R1039", "R1023"]);
+});
@@ -0,0 +1,66 @@
+// test/pairs.test.js
+// Predictions -> per-trip stop times -> board/alight pairs, from the evening fixture's Red Line feed.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTripStopTimesFromPred, childStops, csvFromSet, loadPredictions, pairsFromTripStops } from "../mbta.js";
+import { fixture, hhmm, sessionContext } from "./helpers.js";
+
+const session = fixture("evening.json");
+const now = new Date(session.now);
+
+// Park Street -> Harvard on the Red Line, as the planner asks for it
+async function redLeg() {
+    const { ctx, misses } = sessionContext(session);
+    const park = await childStops(session.state, "place-pktrm", ctx);
+    const harvard = await childStops(session.state, "place-harsq", ctx);
+    const pred = await loadPredictions(session.state, "Red", csvFromSet(new Set([...park, ...harvard])), {}, ctx);
+    assert.deepEqual(misses, []);
+    return { park, harvard, pred };
+}
+
+test("pairs only trips that reach the alight stop after boarding", async () => {
+    const { park, harvard, pred } = await redLeg();
+    const tripMap = buildTripStopTimesFromPred(pred.data, { from: park, to: harvard }, 120, pred.stopParent, now);
+
+    // The feed has both directions: OR trips run Harvard -> Park
+    assert.ok([...tripMap.keys()].some((id) => id.startsWith("OR")));
+
+    const pairs = pairsFromTripStops(tripMap, "from", "to");
+    assert.deepEqual(pairs.map((p) => [p.tripId, hhmm(p.fromT), hhmm(p.toT)]), [
+        ["R1023", "17:04", "17:14"],
+        ["R1031", "17:12", "17:22"],
+        ["R1039", "17:20", "17:30"],
+        ["R1047", "17:28", "17:38"],
+    ]);
+
+    // Reversed, only the OR trips pair up
+    assert.ok(pairsFromTripStops(tripMap, "to", "from").every((p) => p.tripId.startsWith("OR")));
+});
+
+test("stop times are by parent station and limited to the prediction window", async () => {
+    const { park, harvard, pred } = await redLeg();
+    const tripMap = buildTripStopTimesFromPred(pred.data, { from: park, to: harvard }, 20, pred.stopParent, now);
+    const r1023 = tripMap.get("R1023");
+    assert.equal(r1023.route, "Red");
+    assert.equal(r1023.stops.from.seq, 50);
+    assert.equal(hhmm(r1023.stops.to.t), "17:14");
+
+    // Predictions past 17:20 are dropped: R1031 and R1039 keep only their Park Street stop
+    assert.equal(tripMap.get("R1031").stops.to, undefined);
+    assert.equal(tripMap.get("R1039").stops.to, undefined);
+    assert.equal(tripMap.has("R1047"), false);
+    assert.deepEqual(pairsFromTripStops(tripMap, "from", "to").map((p) => p.tripId), ["R1023"]);
+});
+
+test("stop_sequence decides direction when it's there, time order when it isn't", () => {
+    const at = (min) => new Date(now.getTime() + min * 60_000);
+    const tripMap = new Map([
+        ["ok", { stops: { from: { t: at(5), seq: 50 }, to: { t: at(15), seq: 70 } } }],
+        ["seq-backwards", { stops: { from: { t: at(5), seq: 70 }, to: { t: at(15), seq: 50 } } }],
+        ["no-seq", { stops: { from: { t: at(8), seq: null }, to: { t: at(18), seq: null } } }],
+        ["no-seq-backwards", { stops: { from: { t: at(18), seq: null }, to: { t: at(8), seq: null } } }],
+        ["board-only", { stops: { from: { t: at(2), seq: 50 } } }],
+    ]);
+    assert.deepEqual(pairsFromTripStops(tripMap, "from", "to").map((p) => p.tripId), ["ok", "no-seq"]);
+});
@@ -0,0 +1,173 @@
+// test/plan.test.js
+// buildGroupsForWindow end to end, against synthetic sessions served by a stubbed fetch.
+// evening.json: 17:00 homebound; predictions only reach 17:40 and the bus has none at home.
+// midnight.json: 23:40 homebound; the last trips of the 10-19 service day run past 24:00.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGroupsForWindow } from "../planner.js";
+import { PLAN_VERSION } from "../core.js";
+import { browserContext, createContext, fixedClock, replaySession, startReplay } from "../mbta.js";
+import { ymdBoston } from "../time.js";
+import { at, fixture, hhmm, sessionContext } from "./helpers.js";
+
+const CFG = { hours: 1, predWindowMin: 120, alertsMaxAgeMs: 0 };
+
+// Plans with the cfg the session was built for (the window decides which schedules are asked for)
+async function plan(session, cfg = CFG) {
+    const { ctx, misses } = sessionContext(session);
+    const out = await buildGroupsForWindow(session.state, cfg, ctx);
+    return { ...out, misses };
+}
+
+const group = (p, tripId) => p.plan.groups.find((g) => g.tripId === tripId);
+const chain = (c) => c.rides.map((r) => r.tripId).join(">");
+
+test("evening: plans from the session's responses alone", async () => {
+    const p = await plan(fixture("evening.json"));
+    assert.deepEqual(p.misses, []);
+    assert.equal(p.plan.version, PLAN_VERSION);
+    assert.equal(p.plan.start.getTime(), at("2026-10-19 17:00").getTime());
+    assert.deepEqual(p.plan.groups.map((g) => g.tripId), ["B1010", "B1025", "S1032", "B1040", "B1055", "B1070", "B1085", "B1100"]);
+    assert.deepEqual(p.plan.groups.filter((g) => g.best).map((g) => g.tripId), ["B1040", "B1055", "B1070"]);
+    assert.equal(chain(group(p, "B1055").connections[group(p, "B1055").bestIdx]), "G1032>R1039>B1055");
+    assert.equal(p.groups.length, p.plan.groups.length);
+    assert.equal(p.columns.some((c) => c.key === "leave"), false);
+});
+
+test("evening: missing home predictions are estimated from the board delay", async () => {
+    const p = await plan(fixture("evening.json"));
+    const { trip } = group(p, "B1040");
+    assert.equal(trip.fromPred, true);
+    assert.equal(trip.toPred, false);
+    assert.equal(trip.toEst, true);
+    assert.deepEqual([hhmm(trip.schedFromT), hhmm(trip.fromT), hhmm(trip.schedToT), hhmm(trip.toT)], ["17:20", "17:22", "17:32", "17:34"]);
+});
+
+test("evening: partial predictions fall back to the schedule trip by trip", async () => {
+    const p = await plan(fixture("evening.json"));
+    const [first, second] = group(p, "B1070").connections;
+    assert.deepEqual(first.rides.map((r) => r.fromPred), [true, true, false]);
+    assert.equal(hhmm(first.rides[2].fromT), "17:50");
+    assert.equal(chain(second), "G1050>R1055>B1070");
+
+    const [, last] = group(p, "B1085").connections;
+    assert.deepEqual(last.rides.map((r) => r.fromPred), [false, false, false]);
+});
+
+test("evening: short-turn buses stay, without a home arrival", async () => {
+    const p = await plan(fixture("evening.json"));
+    const g = group(p, "S1032");
+    assert.equal(g.trip.shortTurn, true);
+    assert.equal(g.trip.toT, null);
+    assert.deepEqual(g.connections, []);
+    assert.equal(g.best, false);
+});
+
+test("evening: no prediction feed at all plans from schedules", async () => {
+    const session = fixture("evening.json");
+    const withoutPredictions = { ...session, entries: session.entries.filter((e) => !new URL(e.key).pathname.startsWith("/predictions")) };
+    const p = await plan(withoutPredictions);
+
+    assert.ok(p.misses.length > 0);
+    assert.ok(p.misses.every((url) => /\/(predictions|vehicles)\?/.test(url)));
+    const rides = p.plan.groups.flatMap((g) => [g.trip, ...g.connections.flatMap((c) => c.rides)]).filter(Boolean);
+    assert.ok(rides.length > 0);
+    assert.ok(rides.every((r) => !r.fromPred && !r.toPred));
+    assert.deepEqual([hhmm(group(p, "B1040").trip.fromT), hhmm(group(p, "B1040").trip.toT)], ["17:20", "17:32"]);
+    assert.ok(p.plan.groups.some((g) => g.best));
+});
+
+test("midnight: trips past 24:00 keep the previous service date's times", async () => {
+    const p = await plan(fixture("midnight.json"));
+    assert.deepEqual(p.misses, []);
+    assert.deepEqual(p.plan.groups.map((g) => g.tripId), ["B1415", "B1430", "B1445", "S1452", "B1460", "B1475", "B1490"]);
+
+    // B1445 is the 10-19 service day's 24:05 trip: 00:05 on the 20th, predicted 00:07
+    const { trip } = group(p, "B1445");
+    assert.equal(trip.schedFromT.getTime(), at("2026-10-20 00:05").getTime());
+    assert.equal(trip.fromT.getTime(), at("2026-10-20 00:07").getTime());
+    assert.equal(ymdBoston(trip.toT), "2026-10-20");
+
+    const departures = p.plan.groups.map((g) => g.trip.fromT.getTime());
+    assert.deepEqual(departures, [...departures].sort((a, b) => a - b));
+});
+
+test("midnight: connections chain across midnight", async () => {
+    const p = await plan(fixture("midnight.json"));
+    const g = group(p, "B1460");
+    assert.deepEqual(g.connections.map((c) => [chain(c), hhmm(c.anchorT)]), [
+        ["G1434>R1439>B1460", "00:00"],
+        ["G1440>R1447>B1460", "00:08"],
+    ]);
+    assert.equal(hhmm(g.connections[0].rides[0].fromT), "23:54");
+    assert.deepEqual(p.plan.groups.filter((x) => x.best).map((x) => x.tripId), ["B1445", "B1475"]);
+});
+
+test("evening: Leave is the first train's departure less the walk to it", async () => {
+    const session = fixture("evening.json");
+    const p = await plan({ ...session, state: { ...session.state, originWalk: { "Boylston St": 3, "Arlington St": 6 } } });
+    assert.deepEqual(p.plan.originWalk, [{ entrance: "Boylston St", min: 3 }, { entrance: "Arlington St", min: 6 }]);
+    assert.equal(p.columns[0].key, "leave");
+
+    const c = group(p, "B1055").connections[1];
+    assert.deepEqual([hhmm(c.leave.t), hhmm(c.rides[0].fromT), c.leave.entrance, c.leave.pred], ["17:09", "17:12", "Boylston St", true]);
+
+    const g = p.groups.find((x) => x.tripId === "B1055");
+    assert.equal(hhmm(g.meta.leaveBestDate), "17:09");
+    const cell = g.rowsExpanded[1].cells[0];
+    assert.deepEqual([cell.text, cell.badge, cell.badgeTitle], ["17:09", "Boylston St", "Other entrances: Arlington St 17:06"]);
+
+    // Already past: no leave time to act on
+    const early = p.groups.find((x) => x.tripId === "B1040");
+    assert.equal(early.rowsCollapsed.cells[0].text, "—");
+    assert.equal(early.meta.leaveBestDate, null);
+});
+
+// The evening session with its alerts feed replaced by `alerts`
+function withAlerts(session, alerts) {
+    const entries = session.entries.map((e) => (new URL(e.key).pathname === "/alerts" ? { ...e, body: { data: alerts } } : e));
+    return { ...session, entries };
+}
+
+const shuttle = (id, stops) => ({
+    type: "alert",
+    id,
+    attributes: {
+        header: `Shuttle buses replace Red Line trains (${id})`,
+        effect: "SHUTTLE",
+        severity: 7,
+        informed_entity: stops.map((stop) => ({ route: "Red", stop })),
+        active_period: [{ start: "2026-10-19T20:00:00Z", end: "2026-10-20T08:00:00Z" }],
+    },
+});
+
+test("evening: a shuttle naming only a leg's end station leaves its trips alone", async () => {
+    const session = fixture("evening.json");
+    const base = await plan(session);
+    const endOnly = await plan(withAlerts(session, [shuttle("harvard-alewife", ["place-harsq", "place-portr", "place-davis", "place-alfcl"])]));
+
+    assert.deepEqual(endOnly.plan.disruptions.map((d) => d.legs), [[1]]);
+    const rides = (p) => p.plan.groups.flatMap((g) => g.connections.map((c) => c.rides[1]));
+    assert.ok(rides(endOnly).every((r) => r.route === "Red" && !r.disrupted));
+    assert.deepEqual(rides(endOnly).map((r) => hhmm(r.toT)), rides(base).map((r) => hhmm(r.toT)));
+
+    // Both of the leg's stations: every Red ride becomes a shuttle
+    const whole = await plan(withAlerts(session, [shuttle("park-harvard", ["place-pktrm", "place-harsq"])]));
+    const shuttled = rides(whole).filter(Boolean);
+    assert.ok(shuttled.length > 0);
+    assert.ok(shuttled.every((r) => r.route === "Shuttle" && r.disrupted?.effect === "SHUTTLE"));
+});
+
+test("replay: a session started on a context plans at its time, on that context only", async () => {
+    const session = fixture("evening.json");
+    const offline = () => Promise.reject(new TypeError("fetch failed"));
+    const ctx = createContext({ fetch: offline, clock: fixedClock("2030-01-01T12:00:00Z"), rateLimit: false });
+    startReplay(session, ctx);
+
+    const p = await buildGroupsForWindow(session.state, CFG, ctx);
+    assert.equal(p.plan.start.getTime(), at("2026-10-19 17:00").getTime());
+    assert.deepEqual(p.plan.groups.map((g) => g.tripId), (await plan(session)).plan.groups.map((g) => g.tripId));
+    assert.equal(p.offline, null);
+    assert.equal(replaySession(browserContext), null);
+});
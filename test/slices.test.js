@@ -0,0 +1,43 @@
+// test/slices.test.js
+// Schedule query slices: which service dates and service-day clock ranges a window asks for.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scheduleSlicesForWindow, serviceDatesForWindow } from "../planner.js";
+import { at } from "./helpers.js";
+
+test("evening window is one slice on its own service date", () => {
+    assert.deepEqual(scheduleSlicesForWindow(at("2026-10-19 17:00"), at("2026-10-19 19:00")), [
+        { date: "2026-10-19", min: "16:30", max: "19:30" },
+    ]);
+});
+
+test("window across midnight runs the first service date past 24:00", () => {
+    assert.deepEqual(scheduleSlicesForWindow(at("2026-10-19 23:10"), at("2026-10-20 02:10")), [
+        { date: "2026-10-19", min: "22:40", max: "26:40" },
+        { date: "2026-10-20", min: "00:00", max: "02:40" },
+    ]);
+});
+
+test("small-hours window still asks the previous service date", () => {
+    assert.deepEqual(scheduleSlicesForWindow(at("2026-10-20 01:00"), at("2026-10-20 02:00")), [
+        { date: "2026-10-19", min: "24:30", max: "26:30" },
+        { date: "2026-10-20", min: "00:30", max: "02:30" },
+    ]);
+});
+
+test("previous service date is dropped once the window starts past 28:00", () => {
+    assert.deepEqual(scheduleSlicesForWindow(at("2026-10-20 05:00"), at("2026-10-20 06:00")), [
+        { date: "2026-10-20", min: "04:30", max: "06:30" },
+    ]);
+});
+
+test("slice ends are capped at 28:00", () => {
+    const [first] = scheduleSlicesForWindow(at("2026-10-20 03:00"), at("2026-10-20 05:00"));
+    assert.deepEqual(first, { date: "2026-10-19", min: "26:30", max: "28:00" });
+});
+
+test("service dates of a window are unpadded", () => {
+    assert.deepEqual(serviceDatesForWindow(at("2026-10-19 17:00"), at("2026-10-19 23:59")), ["2026-10-19"]);
+    assert.deepEqual(serviceDatesForWindow(at("2026-10-19 23:40"), at("2026-10-20 00:40")), ["2026-10-19", "2026-10-20"]);
+});
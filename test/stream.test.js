@@ -0,0 +1,126 @@
+// test/stream.test.js
+// Streaming predictions (mbta.js): a local text/event-stream body served through ctx.fetch.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createContext, getRequestBudget, openPredictionStream } from "../mbta.js";
+
+const pred = (id, trip, t) => ({
+    type: "prediction",
+    id,
+    attributes: { arrival_time: t, departure_time: t, stop_sequence: 50, direction_id: 1 },
+    relationships: { trip: { data: { type: "trip", id: trip } }, stop: { data: { type: "stop", id: "70075" } } },
+});
+const stop = { type: "stop", id: "70075", attributes: { parent_station: "place-pktrm" } };
+
+const message = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// A fetch answering with `text` as an event stream, cut into small chunks so messages span
+// reads; remembers what it was asked for
+function sseFetch(text, chunk = 37) {
+    const bytes = new TextEncoder().encode(text);
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, init });
+        let at = 0;
+        const body = new ReadableStream({
+            pull(ctrl) {
+                if (at >= bytes.length) return ctrl.close();
+                ctrl.enqueue(bytes.slice(at, at + chunk));
+                at += chunk;
+            },
+        });
+        return new Response(body, { headers: { "content-type": "text/event-stream" } });
+    };
+    return { fetch, calls };
+}
+
+// Prediction ids and times in the store after each change, and whether the stream was ready then
+function open(text, { rateLimit = false } = {}) {
+    const { fetch, calls } = sseFetch(text);
+    const snapshots = [];
+    const ready = [];
+    let failure = null;
+    const ctx = createContext({ fetch, rateLimit });
+    const stream = openPredictionStream({ apiKey: "k" }, "Red", "70075", {
+        base: "http://stand-in.local",
+        onChange: () => {
+            snapshots.push([...stream.store.values()].filter((r) => r.type === "prediction").map((r) => [r.id, r.attributes.arrival_time]));
+            ready.push(stream.ready);
+        },
+        onError: (err) => (failure = err),
+    }, ctx);
+    return { ctx, stream, calls, snapshots, ready, failure: () => failure };
+}
+
+test("reset, add, update and remove events change the prediction set", async () => {
+    const text = [
+        ": keep-alive comment\n\n",
+        message("reset", [pred("p1", "R1023", "2026-10-19T21:04:00Z"), pred("p2", "R1031", "2026-10-19T21:12:00Z"), stop]),
+        message("add", pred("p3", "R1039", "2026-10-19T21:20:00Z")),
+        message("update", pred("p1", "R1023", "2026-10-19T21:06:00Z")).replaceAll("\n", "\r\n"),
+        message("remove", { type: "prediction", id: "p2" }),
+    ].join("");
+    const { stream, calls, snapshots, failure } = open(text);
+    await stream.done;
+
+    assert.equal(calls.length, 1);
+    const url = new URL(calls[0].url);
+    assert.equal(url.origin + url.pathname, "http://stand-in.local/predictions");
+    assert.equal(url.searchParams.get("filter[route]"), "Red");
+    assert.equal(url.searchParams.get("api_key"), "k");
+    assert.equal(calls[0].init.headers.Accept, "text/event-stream");
+
+    assert.deepEqual(snapshots, [
+        [["p1", "2026-10-19T21:04:00Z"], ["p2", "2026-10-19T21:12:00Z"]],
+        [["p1", "2026-10-19T21:04:00Z"], ["p2", "2026-10-19T21:12:00Z"], ["p3", "2026-10-19T21:20:00Z"]],
+        [["p1", "2026-10-19T21:06:00Z"], ["p2", "2026-10-19T21:12:00Z"], ["p3", "2026-10-19T21:20:00Z"]],
+        [["p1", "2026-10-19T21:06:00Z"], ["p3", "2026-10-19T21:20:00Z"]],
+    ]);
+    assert.ok(stream.store.has("stop:70075"));
+
+    // The body ending is a failure: the set goes back to polling
+    assert.equal(stream.ready, false);
+    assert.ok(stream.failedAt > 0);
+    assert.match(failure().message, /ended/);
+    assert.equal(stream.error, failure());
+});
+
+test("events before the first reset are applied but not announced", async () => {
+    const text = [
+        message("add", pred("p1", "R1023", "2026-10-19T21:04:00Z")),
+        "event: update\ndata: not json\n\n",
+        message("reset", [pred("p2", "R1031", "2026-10-19T21:12:00Z")]),
+    ].join("");
+    const { stream, snapshots } = open(text);
+    await stream.done;
+    assert.deepEqual(snapshots, [[["p2", "2026-10-19T21:12:00Z"]]]);
+});
+
+test("a rate-limited context takes a token, then streams as usual", async () => {
+    const text = [
+        message("reset", [pred("p1", "R1023", "2026-10-19T21:04:00Z")]),
+        message("add", pred("p2", "R1031", "2026-10-19T21:12:00Z")),
+    ].join("");
+    const { ctx, stream, calls, snapshots, ready, failure } = open(text, { rateLimit: true });
+    await stream.done;
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(snapshots, [
+        [["p1", "2026-10-19T21:04:00Z"]],
+        [["p1", "2026-10-19T21:04:00Z"], ["p2", "2026-10-19T21:12:00Z"]],
+    ]);
+    assert.deepEqual(ready, [true, true]);
+    // One token out of the keyed burst of 50
+    assert.equal(getRequestBudget(ctx).remaining, 49);
+    assert.match(failure().message, /ended/);
+});
+
+test("a failed response is reported through onError", async () => {
+    const ctx = createContext({ fetch: async () => new Response("busy", { status: 503, statusText: "Service Unavailable" }), rateLimit: false });
+    let failure = null;
+    const stream = openPredictionStream({}, "Red", "70075", { onError: (err) => (failure = err) }, ctx);
+    await stream.done;
+    assert.match(failure.message, /503/);
+    assert.equal(stream.ready, false);
+});
@@ -0,0 +1,98 @@
+// time.js
+// Dates in the MBTA's timezone (America/New_York), whatever the device is set to, plus
+// service-day arithmetic: a service day's times count from noon minus 12h and run past 24:00
+// (a 00:40 train on Saturday morning is Friday's 24:40).
+// ES module
+
+export const MBTA_TZ = "America/New_York";
+
+// How far past midnight a service day's times can run ("28:00" = 04:00 the next morning)
+export const SERVICE_DAY_END_MIN = 28 * 60;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const partsFormat = new Intl.DateTimeFormat("en-US", {
+    timeZone: MBTA_TZ,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+});
+
+const fmt2 = (n) => String(n).padStart(2, "0");
+
+// Boston wall clock at an instant: { y, m (1-12), d, hh, mi, ss, dow (0 = Sunday) }
+export function bostonParts(date) {
+    const parts = partsFormat.formatToParts(date);
+    const get = (t) => parts.find((p) => p.type === t).value;
+    return {
+        y: Number(get("year")),
+        m: Number(get("month")),
+        d: Number(get("day")),
+        hh: Number(get("hour")),
+        mi: Number(get("minute")),
+        ss: Number(get("second")),
+        dow: WEEKDAYS.indexOf(get("weekday")),
+    };
+}
+
+// Boston's offset from UTC at an instant (ms; -4h in summer, -5h in winter)
+export function tzOffsetMs(ms) {
+    const p = bostonParts(new Date(ms));
+    return Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mi, p.ss) - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a Boston wall-clock time names (m is 1-12). Times skipped by the spring DST
+// change land an hour later, like local Date construction does.
+export function bostonDate(y, m, d, hh = 0, mi = 0) {
+    const wall = Date.UTC(y, m - 1, d, hh, mi);
+    const guess = wall - tzOffsetMs(wall);
+    const t = wall - tzOffsetMs(guess);
+    return new Date(bostonParts(new Date(t)).hh === hh ? t : guess);
+}
+
+export function ymdBoston(date) {
+    const p = bostonParts(date);
+    return `${p.y}-${fmt2(p.m)}-${fmt2(p.d)}`;
+}
+
+export function hhmmBoston(date) {
+    const p = bostonParts(date);
+    return `${fmt2(p.hh)}:${fmt2(p.mi)}`;
+}
+
+// 0 = Sunday
+export function weekdayBoston(date) {
+    return bostonParts(date).dow;
+}
+
+// hh:mi on the Boston day of `base`, or null
+export function bostonTimeOn(base, hh, mi) {
+    if (!Number.isFinite(hh) || !Number.isFinite(mi)) return null;
+    const p = bostonParts(base);
+    const d = bostonDate(p.y, p.m, p.d, hh, mi);
+    return isNaN(d) ? null : d;
+}
+
+export function addDaysYmd(ymd, n) {
+    const [y, m, d] = ymd.split("-").map(Number);
+    const t = new Date(Date.UTC(y, m - 1, d + n));
+    return `${t.getUTCFullYear()}-${fmt2(t.getUTCMonth() + 1)}-${fmt2(t.getUTCDate())}`;
+}
+
+// Start of a service day's clock: noon minus 12h, Boston time (so DST days still have
+// noon at "12:00"; the spring/fall days are 23/25 h long)
+export function serviceDayStart(ymd) {
+    const [y, m, d] = ymd.split("-").map(Number);
+    const noonUtc = Date.UTC(y, m - 1, d, 12);
+    return noonUtc - tzOffsetMs(noonUtc) - 12 * 3600 * 1000;
+}
+
+// Minutes on a service day's clock as "HH:MM" (past 24:00 after midnight)
+export function serviceTimeHHMM(min) {
+    return `${fmt2(Math.floor(min / 60))}:${fmt2(min % 60)}`;
+}
@@ -3,6 +3,8 @@
 // Tooltips: never show dash-times. If scheduled time missing, show "No scheduled time available".
 // ES module
 
+import { bostonParts, hhmmBoston, ymdBoston } from "./time.js";
+
 export function escapeHtml(s) {
     return String(s)
         .replaceAll("&", "&amp;")
@@ -11,11 +13,64 @@ export function escapeHtml(s) {
         .replaceAll('"', "&quot;");
 }
 
-// cell: {text, pred, schedText} or string
+function renderBadge(cell) {
+  const b = (cell.badge || "").trim();
+  const title = cell.badgeTitle ? ` title="${escapeHtml(cell.badgeTitle)}"` : "";
+  return b ? ` <span class="routeBadge"${title}>${escapeHtml(b)}</span>` : "";
+}
+
+function pct(prob) {
+  return `${Math.round(prob * 100)}%`;
+}
+
+// Spare minutes on the transfer into this trip, beyond the configured walking time
+function renderSlack(cell) {
+  if (!Number.isFinite(cell.slack)) return "";
+  const cls = cell.slack <= 1 ? "slack tight" : "slack";
+  const likely = Number.isFinite(cell.prob) ? ` · ${pct(cell.prob)} likely` : "";
+  const title = `${cell.slack} min spare after the ${cell.transferMin ?? 0} min transfer${likely}`;
+  return ` <span class="${cls}" title="${escapeHtml(title)}">+${cell.slack}</span>`;
+}
+
+// MBTA severity is 0-10
+function severityClass(severity) {
+  return severity >= 7 ? "sevHigh" : severity >= 4 ? "sevMid" : "sevLow";
+}
+
+// Alerts in effect at this time and station (see withAlerts in view.js)
+function renderAlertBadge(cell) {
+  if (!cell.alerts?.length) return "";
+  const worst = Math.max(...cell.alerts.map((a) => a.severity));
+  const title = cell.alerts.map((a) => a.header).join("\n");
+  return ` <span class="alertBadge ${severityClass(worst)}" title="${escapeHtml(title)}">⚠</span>`;
+}
+
+const CROWD_TEXT = ["Not crowded", "Some crowding", "Crowded"];
+
+// Vehicle crowding: three bars filled by level, per-car detail on hover
+function renderCrowd(cell) {
+  const c = cell.crowd;
+  if (!c || !Number.isFinite(c.level)) return "";
+  const cars = (c.carriages || []).filter((x) => x.level != null);
+  const detail = cars.length
+    ? ` · cars: ${cars.map((x) => (x.pct != null ? `${x.pct}%` : CROWD_TEXT[x.level].toLowerCase())).join(", ")}`
+    : "";
+  const bars = "▮".repeat(c.level + 1) + "▯".repeat(2 - c.level);
+  return ` <span class="crowd c${c.level}" title="${escapeHtml(CROWD_TEXT[c.level] + detail)}">${bars}</span>`;
+}
+
+// cell: {text, pred, schedText, badge?, badgeTitle?, alerts?, crowd?, slack?, transferMin?, prob?, est?},
+// a layover {wait, prob, risk} or string
 export function renderTimeCell(cell) {
   if (cell == null) return "";
   if (typeof cell === "string") return escapeHtml(cell);
 
+  // Layover keeps its padding; the dot is the chance of making every connection in the row
+  if (cell.wait != null) {
+    const title = `${pct(cell.prob)} chance of making every connection`;
+    return `${escapeHtml(cell.wait)} <span class="risk ${escapeHtml(cell.risk || "")}" title="${escapeHtml(title)}">●</span>`;
+  }
+
   const tRaw = (cell.text || "").trim();
   const schedRaw = (cell.schedText || "").trim();
 
@@ -28,30 +83,24 @@ export function renderTimeCell(cell) {
   // Never underline / title for dashes
   if (tRaw === "—") return "—";
 
+  // Estimated (no prediction for this stop): "~" prefix, explained on hover
+  if (cell.est) {
+    return `<span class="estTime" title="Estimated from the route pattern's schedule">~${escapeHtml(tRaw)}</span>${renderBadge(cell)}${renderAlertBadge(cell)}${renderCrowd(cell)}${renderSlack(cell)}`;
+  }
+
   // Only predictions get underlines + tooltips (as before)
-  if (!cell.pred) return escapeHtml(tRaw);
+  if (!cell.pred) return escapeHtml(tRaw) + renderBadge(cell) + renderAlertBadge(cell) + renderCrowd(cell) + renderSlack(cell);
 
   const hasSched = schedRaw && schedRaw !== "—";
   const title = hasSched ? `Scheduled ${schedRaw}` : "No scheduled time available";
-  return `<span class="predTime" title="${escapeHtml(title)}">${escapeHtml(tRaw)}</span>`;
+  return `<span class="predTime" title="${escapeHtml(title)}">${escapeHtml(tRaw)}</span>${renderBadge(cell)}${renderAlertBadge(cell)}${renderCrowd(cell)}${renderSlack(cell)}`;
 }
 
-const borderPairs = {
-  Arlington: ["--gl-green", "--table-head-bg"],
-  Park: ["--gl-green", "--rl-red"],
-  Layover: ["--table-head-bg", "--rl-red"],
-  Harvard: ["--bus-yellow", "--rl-red"],
-  Home: ["--bus-yellow", "--table-head-bg"],
-};
-
-export function renderHeader(theadEl, includeHome) {
-  const cols = includeHome
-    ? ["Arlington", "Park", "Layover", "Harvard", "Home"]
-    : ["Arlington", "Park", "Layover", "Harvard"];
-
-  const header = cols
+// columns: [{ key, label, desc, border: [upperVar, lowerVar] }] from the planner
+export function renderHeader(theadEl, columns) {
+  const header = (columns || [])
     .map((c) => {
-      const pair = borderPairs[c];
+      const pair = c.border;
       const style = pair
         ? ` style="
             background-image: linear-gradient(to bottom, var(${pair[1]}), var(${pair[1]})),
@@ -63,26 +112,177 @@ export function renderHeader(theadEl, includeHome) {
           "`
         : "";
 
-      return `<th${style}>${escapeHtml(c)}</th>`;
+      return `<th${style}>${escapeHtml(c.label)}</th>`;
     })
     .join("");
 
   theadEl.innerHTML = `<tr>${header}</tr>`;
 }
 
-export function renderAlerts(alertsEl, headers, counts) {
-    if (!headers?.length) {
+// Legend follows the itinerary's columns, plus the fixed underline explanation.
+export function renderLegend(legendEl, columns) {
+  if (!legendEl) return;
+  const row = (key, val) =>
+    `<div class="legendRow"><div class="legendKey">${key}:</div><div class="legendVal">${escapeHtml(val)}</div></div>`;
+
+  legendEl.innerHTML = [
+    ...(columns || []).map((c) => row(`<b>${escapeHtml(c.label)}</b>`, c.desc || "")),
+    row("<u>Underline</u>", "denotes a real-time prediction (higher confidence)"),
+  ].join("");
+}
+
+// Home stop search results: one button per stop; data-stop-id carries the id to store
+export function renderStopResults(listEl, stops, selectedId = "") {
+  if (!listEl) return;
+  listEl.hidden = !stops.length;
+  listEl.innerHTML = stops
+    .map((s) => {
+      const sub = [s.direction, s.parentName, s.id].filter(Boolean).join(" · ");
+      const on = s.id === selectedId ? " on" : "";
+      return `<button type="button" class="stopResult${on}" role="option" data-stop-id="${escapeHtml(s.id)}">
+        <span>${escapeHtml(s.name)}</span>
+        <small>${escapeHtml(sub)}</small>
+      </button>`;
+    })
+    .join("");
+}
+
+function fmtYmd(d) {
+  return d ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}` : "?";
+}
+
+// GTFS feed status (Advanced): what's imported and which dates it covers
+export function renderGtfsStatus(statusEl, removeBtn, feed, message = "") {
+  if (removeBtn) removeBtn.hidden = !feed;
+  if (!statusEl) return;
+  if (message) {
+    statusEl.textContent = message;
+    return;
+  }
+  statusEl.textContent = feed
+    ? `${feed.counts.trips.toLocaleString()} trips on ${feed.routes.join(", ")}; service ${fmtYmd(feed.startDate)} to ${fmtYmd(feed.endDate)}. Used automatically when MBTA can't be reached.`
+    : "None imported. Import the MBTA GTFS zip to keep scheduled times available offline.";
+}
+
+// Banner while the plan comes from the GTFS feed instead of the API
+export function renderOfflineNote(noteEl, offline) {
+  if (!noteEl) return;
+  noteEl.hidden = !offline;
+  noteEl.textContent = offline
+    ? `Offline: scheduled times from the GTFS feed imported ${ymdBoston(new Date(offline.importedAt))}. No predictions or alerts.`
+    : "";
+}
+
+// Banner while plans come from a recorded session
+export function renderReplayNote(noteEl, stopBtn, replay) {
+  if (stopBtn) stopBtn.hidden = !replay;
+  if (!noteEl) return;
+  noteEl.hidden = !replay;
+  noteEl.textContent = replay
+    ? `Replaying “${replay.name}” as of ${ymdBoston(replay.now)} ${hhmmBoston(replay.now)} (Boston time).`
+    : "";
+}
+
+function fmtBytes(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)} MB`;
+  if (n >= 1e3) return `${Math.round(n / 1e3)} kB`;
+  return `${n} B`;
+}
+
+// Response cache: one row per resource with hit rate, entries and size (stats from getCacheStats)
+export function renderCacheStats(statsEl, stats) {
+  if (!statsEl) return;
+  if (!stats?.resources?.length) {
+    statsEl.innerHTML = `<div class="cacheRow"><small>Empty</small></div>`;
+    return;
+  }
+  const rows = stats.resources.map((r) => {
+    const n = r.hits + r.misses;
+    const rate = r.hitRate == null ? "–" : `${Math.round(r.hitRate * 100)}% hits (${r.hits}/${n})`;
+    return `<div class="cacheRow">
+      <span>${escapeHtml(r.resource)}</span>
+      <small>${rate} · ${r.entries} · ${fmtBytes(r.bytes)}</small>
+    </div>`;
+  });
+  rows.push(`<div class="cacheRow"><small>Total</small><small>${stats.entries} entries · ${fmtBytes(stats.bytes)} of ${fmtBytes(stats.maxBytes)}</small></div>`);
+  statsEl.innerHTML = rows.join("");
+}
+
+/* ---------------- Alerts drawer ---------------- */
+
+const ALERT_WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// "17:20", or "Tue 10/20 06:00" on another day (Boston time)
+function fmtAlertTime(d) {
+    const hhmm = hhmmBoston(d);
+    if (ymdBoston(d) === ymdBoston(new Date())) return hhmm;
+    const p = bostonParts(d);
+    return `${ALERT_WEEKDAYS[p.dow]} ${p.m}/${p.d} ${hhmm}`;
+}
+
+function fmtAlertPeriods(periods) {
+    if (!periods?.length) return "Until further notice";
+    return periods
+        .slice(0, 3)
+        .map((p) => (p.end ? `${fmtAlertTime(p.start)}–${fmtAlertTime(p.end)}` : `From ${fmtAlertTime(p.start)}`))
+        .join(", ");
+}
+
+function renderAlertItem(a, isOpen) {
+    const effect = a.effect ? a.effect.toLowerCase().replaceAll("_", " ") : "";
+    const meta = [
+        a.legs?.join(", "),
+        effect,
+        a.lifecycle && a.lifecycle !== "NEW" ? a.lifecycle.toLowerCase().replaceAll("_", " ") : "",
+        a.tripIds?.length ? `on ${a.tripIds.length} trip${a.tripIds.length === 1 ? "" : "s"} shown` : "",
+    ].filter(Boolean).join(" · ");
+    const link = a.url ? `<a href="${escapeHtml(a.url)}" target="_blank" rel="noopener">More on mbta.com</a>` : "";
+    return `<details class="alertItem"${isOpen ? " open" : ""} data-id="${escapeHtml(a.id)}">
+      <summary><span class="sev ${severityClass(a.severity)}" title="Severity ${a.severity}/10">●</span> ${escapeHtml(a.header)}</summary>
+      <div class="alertMeta">${escapeHtml(meta)}</div>
+      <div class="alertMeta">${escapeHtml(fmtAlertPeriods(a.periods))}</div>
+      ${a.description ? `<div class="alertDesc">${escapeHtml(a.description)}</div>` : ""}
+      ${link}
+    </details>`;
+}
+
+// alerts: the plan's alert models, most severe first. Each expands to its details; past the
+// first few the rest fold into one "…and N more". Open items stay open across refreshes.
+export function renderAlerts(alertsEl, alerts) {
+    if (!alerts?.length) {
         alertsEl.hidden = true;
         alertsEl.innerHTML = "";
         return;
     }
-    const lines = headers.slice(0, 6).map((h) => `<div class="line">${escapeHtml(h)}</div>`).join("");
-    const more = headers.length > 6 ? `<div class="line">…and ${headers.length - 6} more</div>` : "";
+    const open = new Set([...alertsEl.querySelectorAll("details[open]")].map((d) => d.dataset.id));
+    const items = alerts.map((a) => renderAlertItem(a, open.has(a.id)));
+    const more = items.length > 3
+        ? `<details class="alertsMore"${open.has("more") ? " open" : ""} data-id="more"><summary>…and ${items.length - 3} more</summary>${items.slice(3).join("")}</details>`
+        : "";
     alertsEl.hidden = false;
-    alertsEl.innerHTML = `${lines}${more}`;
+    alertsEl.innerHTML = `${items.slice(0, 3).join("")}${more}`;
+}
+
+const VEHICLE_STATUS_TEXT = {
+    STOPPED_AT: "Stopped at",
+    INCOMING_AT: "Arriving at",
+    IN_TRANSIT_TO: "Heading to",
+};
+
+function stopsAwayText(n) {
+    if (n == null) return "";
+    if (n < 0) return "past your stop";
+    if (n === 0) return "at your stop";
+    return n === 1 ? "1 stop away" : `${n} stops away`;
 }
 
-export function renderTableBody(tbodyEl, groups, includeHome, expandedTripId) {
+// "Red Line · 1852 Stopped at Harvard · 3 stops away"
+function vehicleText(v) {
+    const where = v.stopName ? `${VEHICLE_STATUS_TEXT[v.status] || "Near"} ${v.stopName}` : "";
+    return [v.leg, [v.label, where].filter(Boolean).join(" "), stopsAwayText(v.stopsAway)].filter(Boolean).join(" · ");
+}
+
+export function renderTableBody(tbodyEl, groups, expandedTripId) {
     const trs = [];
 
     for (const g of groups) {
@@ -92,19 +292,28 @@ export function renderTableBody(tbodyEl, groups, includeHome, expandedTripId) {
         for (const r of rows) {
             const classes = ["clickable"];
             if (!r.bestRow) classes.push("nonBest");
+            if (r.disrupted) classes.push("disrupted");
+            if (r.cancelled) classes.push("cancelled");
+            const notes = [
+                r.disrupted ? r.disruptedText || "Disrupted" : "",
+                r.cancelled ? r.cancelledText || "Cancelled" : "",
+            ].filter(Boolean);
+            const title = notes.length ? ` title="${escapeHtml(notes.join(" · "))}"` : "";
 
-            const tds = [
-                `<td>${renderTimeCell(r.arlington)}</td>`,
-                `<td>${renderTimeCell(r.park)}</td>`,
-                `<td>${escapeHtml(r.layover || "")}</td>`,
-                `<td>${renderTimeCell(r.harvard)}</td>`,
-            ];
-            if (includeHome) tds.push(`<td>${renderTimeCell(r.home)}</td>`);
+            const tds = (r.cells || []).map((c) => `<td>${renderTimeCell(c)}</td>`);
 
             // IMPORTANT: data-tripid (stable), not data-gkey (unstable due to dep time shifts)
             trs.push(
-                `<tr class="${classes.join(" ")}" data-tripid="${escapeHtml(g.tripId)}">${tds.join("")}</tr>`
+                `<tr class="${classes.join(" ")}" data-tripid="${escapeHtml(g.tripId)}"${title}>${tds.join("")}</tr>`
             );
+
+            // Expanded rows: where each of the row's vehicles is right now
+            if (isExpanded && r.vehicles?.length) {
+                const lines = r.vehicles.map((v) => `<div>${escapeHtml(vehicleText(v))}</div>`).join("");
+                trs.push(
+                    `<tr class="clickable vehicleRow" data-tripid="${escapeHtml(g.tripId)}"><td colspan="${tds.length}">${lines}</td></tr>`
+                );
+            }
         }
     }
 
@@ -168,3 +377,43 @@ export function setUpdatedLine(updatedWrapEl, updatedAgoEl, simTimeEl, opts) {
 
     return sec;
 }
+
+// API request budget under the updated line: "API 14/20 left" (or the wait while rate limited)
+export function renderBudgetLine(budgetEl, budget) {
+    if (!budgetEl) return;
+    if (!budget || !budget.limit) {
+        budgetEl.hidden = true;
+        return;
+    }
+    budgetEl.hidden = false;
+
+    const waitSec = budget.blockedUntil ? Math.ceil((budget.blockedUntil - Date.now()) / 1000) : 0;
+    if (waitSec > 0) {
+        budgetEl.textContent = `Rate limited by MBTA — next request in ${waitSec}s`;
+    } else {
+        const queued = budget.queued ? ` · ${budget.queued} queued` : "";
+        budgetEl.textContent = `API ${Math.max(0, budget.remaining)}/${budget.limit} left${queued}`;
+    }
+    budgetEl.classList.toggle("low", waitSec > 0 || budget.remaining <= budget.limit * 0.2);
+}
+
+// Live predictions under the updated line: "Live predictions" or, after a stream failed,
+// "Live predictions paused — polling (retry in 4 min)" with the error on hover
+export function renderStreamLine(streamEl, status, enabled) {
+    if (!streamEl) return;
+    if (!enabled || !status?.streams) {
+        streamEl.hidden = true;
+        return;
+    }
+    streamEl.hidden = false;
+
+    if (status.failed) {
+        const min = status.retryAt ? Math.max(1, Math.ceil((status.retryAt - Date.now()) / 60_000)) : null;
+        streamEl.textContent = `Live predictions paused — polling${min ? ` (retry in ${min} min)` : ""}`;
+        streamEl.title = status.error || "";
+    } else {
+        streamEl.textContent = status.live === status.streams ? "Live predictions" : "Live predictions connecting…";
+        streamEl.title = "";
+    }
+    streamEl.classList.toggle("low", status.failed > 0);
+}
@@ -0,0 +1,384 @@
+// view.js
+// Plan (core.js) → what the table renders: columns, and per group a collapsed row and its
+// expanded rows of preformatted time cells. Pure like the core: no DOM, no network.
+// ES module
+
+import { NO_TRIP, alertActiveAt } from "./core.js";
+import { riskLevel } from "./risk.js";
+import { hhmmBoston } from "./time.js";
+
+/* ---------------- Cells ---------------- */
+
+// badge: optional short tag after the time (route number when a leg has several candidates)
+export function timeCell(text, pred = false, schedText = "", badge = "") {
+    const cell = { text: text || "", pred: !!pred, schedText: schedText || "" };
+    if (badge) cell.badge = String(badge);
+    return cell;
+}
+
+// Boston time, whatever the device's timezone
+export function fmtHHMM(d) {
+    return hhmmBoston(d);
+}
+
+export function padWait(min) {
+    return `${String(min).padStart(2, " ")} min`;
+}
+
+function cellFromDate(d, pred, schedD, badge = "") {
+    return d ? timeCell(fmtHHMM(d), pred, schedD ? fmtHHMM(schedD) : "", badge) : timeCell("—", false, "");
+}
+
+// "Leave" time (plan leave, see leaveFor in core.js): a dash once it's past. With several
+// entrances the quickest one is the badge and the others' times show on hover.
+function leaveCell(leave, walks, start) {
+    if (!leave || leave.t < start) return timeCell("—", false, "");
+    if (walks.length < 2) return cellFromDate(leave.t, leave.pred, leave.schedT);
+    const others = walks.slice(1).map((w) => {
+        const t = new Date(leave.t.getTime() - (w.min - leave.walkMin) * 60_000);
+        return `${w.entrance} ${fmtHHMM(t)}`;
+    });
+    return { ...cellFromDate(leave.t, leave.pred, leave.schedT, leave.entrance), badgeTitle: `Other entrances: ${others.join(" · ")}` };
+}
+
+// "shuttle" / "detour" badge for a trip reshaped by an alert
+function disruptedTag(ride) {
+    return ride?.disrupted ? ride.disrupted.effect.toLowerCase() : "";
+}
+
+// Row-level "disrupted" state: the alerts behind any reshaped trip in the row
+function disruptedRow(row, rides) {
+    const headers = [...new Set(rides.filter((r) => r?.disrupted).map((r) => r.disrupted.header))];
+    return headers.length ? { ...row, disrupted: true, disruptedText: headers.join(" · ") } : row;
+}
+
+// Row-level "cancelled" state: scheduled trips that would have made this row's connections
+// but were cancelled or skip the stop. lost: [{ leg, ride }]
+function cancelledRow(row, lost, legs) {
+    if (!lost.length) return row;
+    const what = (leg, r) =>
+        r.cancelled === "from" ? `skips ${leg.fromLabel}` : r.cancelled === "to" ? `skips ${leg.toLabel}` : "cancelled";
+    const text = lost.map(({ leg, ride }) => `${legs[leg].label} ${fmtHHMM(ride.schedFromT || ride.fromT)} ${what(legs[leg], ride)}`);
+    return { ...row, cancelled: true, cancelledText: text.join(" · ") };
+}
+
+/* ---------------- Columns ---------------- */
+
+// Header columns for an itinerary: when to leave (with an origin walk, see originWalks in
+// itinerary.js), one board time per leg, a layover between the group leg and the anchor leg,
+// and the last leg's alight time when it has one.
+// border = [upper stripe, lower stripe].
+export function columnsForItinerary(legs, groupIdx, anchorIdx, walks = []) {
+    const last = legs[legs.length - 1];
+    const outbound = groupIdx < anchorIdx;
+    const cols = [];
+
+    if (walks.length) {
+        const via = walks.length > 1 ? ` via ${walks[0].entrance} (quickest entrance)` : "";
+        cols.push({
+            key: "leave",
+            label: "Leave",
+            desc: `when to set off: ${walks[0].min} min walk to ${legs[0].fromLabel}${via} before the ${legs[0].label}`,
+            border: ["--table-head-bg", "--table-head-bg"],
+        });
+    }
+
+    legs.forEach((leg, i) => {
+        const prev = legs[i - 1] || null;
+        const next = legs[i + 1] || null;
+
+        // Layover sits between the two legs whose transfer defines a row
+        if (prev && anchorIdx >= 0 && i === Math.max(groupIdx, anchorIdx)) {
+            cols.push({
+                key: "layover",
+                label: "Layover",
+                desc: `minutes between ${prev.toLabel} ${prev.label} arrival (or now) and ${leg.label} departure`,
+                border: ["--table-head-bg", prev.color],
+            });
+        }
+
+        let desc;
+        if (i === groupIdx && outbound) desc = `departure of ${leg.label} from ${leg.fromLabel}; best = latest that still arrives by the target time`;
+        else if (i === groupIdx) desc = `departure of ${leg.label} from ${leg.fromLabel}`;
+        else if (i === anchorIdx && outbound) desc = `departure of first ${leg.label} with ≥${leg.transferMin} min layover after the ${prev.label}`;
+        else if (i === anchorIdx) desc = `departure of ${leg.label} with ≥${next.transferMin} min layover before the ${next.label}`;
+        else if (i > anchorIdx) desc = `departure of first ${leg.label} ≥${leg.transferMin} min after reaching ${leg.fromLabel}`;
+        else desc = `departure of last ${leg.label} reaching ${leg.toLabel} ≥${next.transferMin} min before the ${next.label}`;
+
+        cols.push({
+            key: `board:${leg.id}`,
+            label: leg.fromLabel,
+            desc,
+            border: [leg.color, prev ? prev.color : "--table-head-bg"],
+        });
+    });
+
+    if (last.to) {
+        cols.push({
+            key: `alight:${last.id}`,
+            label: last.toLabel,
+            desc: `arrival of ${last.label} at ${last.toLabel}`,
+            border: [last.color, "--table-head-bg"],
+        });
+    }
+    return cols;
+}
+
+// Columns whose times an alert's hits concern: the board time of a leg hit as a whole or at
+// its board station; an alight-station hit shows on the next leg's board time (same station),
+// or on the final arrival for the last leg.
+function alertColumns(alert, legs) {
+    return alert.hits.map(({ leg, at }) => {
+        if (at !== "to") return `board:${legs[leg].id}`;
+        return legs[leg + 1] ? `board:${legs[leg + 1].id}` : `alight:${legs[leg].id}`;
+    });
+}
+
+/* ---------------- Groups ---------------- */
+
+// Group header fields the table and notifications read (group trip's times, flat)
+function groupMeta(trip) {
+    if (!trip) {
+        return {
+            tripId: NO_TRIP,
+            route: null,
+            dep: null,
+            depPred: false,
+            depSched: null,
+            arr: null,
+            arrPred: false,
+            arrSched: null,
+            anchorBestDate: null,
+            leaveBestDate: null,
+        };
+    }
+    return {
+        tripId: trip.tripId,
+        route: trip.route,
+        dep: trip.fromT,
+        depPred: trip.fromPred,
+        depSched: trip.schedFromT,
+        arr: trip.toT,
+        arrPred: trip.toPred,
+        arrSched: trip.schedToT,
+        arrEst: trip.toEst,
+        shortTurn: trip.shortTurn,
+        cancelled: trip.cancelled,
+        disrupted: trip.disrupted,
+        anchorBestDate: null,
+        leaveBestDate: null,
+    };
+}
+
+// The table's view of a plan: the plan's window and itinerary, columns, alert badges, and
+// groups as { key, tripId, meta, best, rowsCollapsed, rowsExpanded } with cells in `columns`
+// order (timeCell, layover { wait, prob, risk }, "—" or "").
+export function planView(plan) {
+    const { start, end, includeHome, minProb } = plan;
+    const legs = plan.itinerary.legs;
+    const last = legs[legs.length - 1];
+    const groupIdx = plan.groupLeg;
+    const anchorIdx = plan.anchorLeg;
+    const outbound = groupIdx < anchorIdx;
+    const groupLeg = legs[groupIdx];
+    const walks = plan.originWalk || [];
+
+    const columns = columnsForItinerary(legs, groupIdx, anchorIdx, walks);
+    const blank = () => timeCell("", false, "");
+    const dash = () => timeCell("—", false, "");
+
+    // Crowding badge on the board times of the legs ridden before/after the group leg
+    const withCrowd = (cell, ride) => (ride?.crowding ? { ...cell, crowd: ride.crowding } : cell);
+
+    // Alert badges: a time cell lists the alerts hitting its column's station (or the whole
+    // leg) while that time applies. alertTrips: alert id -> group trips showing its badge.
+    const colAlerts = columns.map((col) => plan.alerts.filter((a) => alertColumns(a, legs).includes(col.key)));
+    const alertTrips = new Map();
+    const withAlerts = (cells, tripId, timeOf) => cells.map((c, ci) => {
+        const t = timeOf(columns[ci].key);
+        if (!t || !c?.text || c.text === "—" || !colAlerts[ci].length) return c;
+        const hits = colAlerts[ci].filter((a) => alertActiveAt(a, t));
+        if (!hits.length) return c;
+        for (const a of hits) {
+            if (!alertTrips.has(a.id)) alertTrips.set(a.id, new Set());
+            alertTrips.get(a.id).add(tripId);
+        }
+        return { ...c, alerts: hits.map((a) => ({ id: a.id, header: a.header, severity: a.severity })) };
+    });
+    // Column times for a row's rides (board times per leg, the last leg's arrival)
+    const rideTimes = (rides) => (key) => {
+        if (key === `alight:${last.id}`) return rides[legs.length - 1]?.toT || null;
+        const i = legs.findIndex((l) => key === `board:${l.id}`);
+        return i >= 0 ? rides[i]?.fromT || null : null;
+    };
+
+    // rowsCollapsed/rowsExpanded; cells follow `columns` order.
+    // The group leg's own times show once per group: on the last row homebound
+    // (latest anchor that still makes it), on the first row outbound (first anchor it reaches).
+    const groups = plan.groups.map((g) => {
+        const meta = groupMeta(g.trip);
+        let rowsExpanded;
+
+        meta.vehicle = g.trip?.vehicle || null;
+        const groupDep = meta.dep instanceof Date ? meta.dep : null;
+        const groupArr = !outbound && includeHome && !meta.cancelled && meta.arr instanceof Date ? meta.arr : null;
+        // Route number only matters when the group leg has several candidate routes
+        const routeBadge = groupLeg.routes.length > 1 && meta.route !== "Shuttle" ? meta.route || "" : "";
+        const badge = [
+            routeBadge,
+            meta.shortTurn ? "short" : "",
+            meta.cancelled === "trip" ? "cancelled" : meta.cancelled ? "skips stop" : "",
+            disruptedTag(g.trip),
+        ].filter(Boolean).join(" ");
+        const groupDepCell = () => cellFromDate(groupDep, meta.depPred, meta.depSched, badge);
+        const groupArrCell = () => {
+            if (!groupArr) return "";
+            const cell = cellFromDate(groupArr, meta.arrPred, meta.arrSched, routeBadge);
+            return meta.arrEst ? { ...cell, est: true } : cell;
+        };
+
+        if (!g.connections.length) {
+            const onlyHomeLeft =
+                !outbound && includeHome &&
+                groupArr && groupArr >= start && groupArr <= end &&
+                (!groupDep || groupDep < start || groupDep > end);
+
+            const minsToDep = groupDep ? Math.max(0, Math.floor((groupDep - start) / 60000)) : null;
+
+            // Proxy layover for empty groups (no viable anchor trip): min(mins until departure, transfer)
+            const proxyLayoverMin = minsToDep == null || meta.shortTurn || meta.cancelled ? null
+                : Math.min(minsToDep, g.transferMin ?? 0);
+
+            const cells = [];
+            for (const col of columns) {
+                if (col.key === "leave") {
+                    cells.push(onlyHomeLeft ? dash() : leaveCell(g.leave, walks, start));
+                } else if (col.key === "layover") {
+                    cells.push(outbound || onlyHomeLeft || proxyLayoverMin == null ? "—" : padWait(proxyLayoverMin));
+                } else if (col.key === `board:${groupLeg.id}`) {
+                    cells.push(onlyHomeLeft || !groupDep ? dash() : groupDepCell());
+                } else if (col.key === `alight:${groupLeg.id}`) {
+                    cells.push(groupArrCell());
+                } else {
+                    cells.push(dash());
+                }
+            }
+            const lost = meta.cancelled ? [{ leg: groupIdx, ride: g.trip }] : [];
+            const rides = legs.map((_, i) => (i === groupIdx ? { fromT: groupDep, toT: groupArr } : null));
+            rowsExpanded = [cancelledRow(
+                disruptedRow({
+                    cells: withAlerts(cells, meta.tripId, rideTimes(rides)),
+                    bestRow: false,
+                    vehicles: [meta.vehicle].filter(Boolean),
+                }, [g.trip]),
+                lost,
+                legs
+            )];
+        } else {
+            const showIdx = outbound ? 0 : g.connections.length - 1;
+
+            rowsExpanded = g.connections.map((c, idx) => {
+                const isShow = idx === showIdx;
+
+                // Board cells of connecting legs carry the transfer slack
+                const withSlack = (cell, i) => {
+                    const x = c.transfers[i];
+                    return x && cell.text && cell.text !== "—"
+                        ? { ...cell, slack: x.slackMin, transferMin: x.min, prob: x.prob }
+                        : cell;
+                };
+
+                const cells = [];
+                if (walks.length) {
+                    // Outbound the first leg is the group leg: its leave time shows with its departure
+                    cells.push(groupIdx === 0 && !isShow ? blank() : leaveCell(c.leave, walks, start));
+                }
+                legs.forEach((leg, i) => {
+                    if (i === Math.max(groupIdx, anchorIdx)) {
+                        // Layover carries the row's risk indicator
+                        cells.push(c.waitMin == null ? "—" : { wait: padWait(c.waitMin), prob: c.prob, risk: riskLevel(c.prob, minProb) });
+                    }
+
+                    const r = c.rides[i];
+                    const boardCell = () => withCrowd(withSlack(cellFromDate(r.fromT, r.fromPred, r.schedFromT, disruptedTag(r)), i), r);
+                    if (i === groupIdx) {
+                        cells.push(isShow && groupDep ? withSlack(groupDepCell(), i) : blank());
+                    } else if (i === anchorIdx) {
+                        cells.push(boardCell());
+                    } else if (i < anchorIdx) {
+                        // If the feeder departure is already before "now", show "—"
+                        cells.push(r && r.fromT >= start ? boardCell() : dash());
+                    } else {
+                        cells.push(r ? boardCell() : dash());
+                    }
+                });
+
+                if (includeHome) {
+                    if (groupIdx === legs.length - 1) {
+                        cells.push(isShow && groupArr ? groupArrCell() : blank());
+                    } else {
+                        const r = c.rides[legs.length - 1];
+                        cells.push(r?.toT ? cellFromDate(r.toT, r.toPred, r.schedToT) : dash());
+                    }
+                }
+
+                // The group leg's vehicle rides along with its times (show row only)
+                const vehicles = legs
+                    .map((_, i) => (i === groupIdx ? (isShow ? meta.vehicle : null) : c.rides[i]?.vehicle || null))
+                    .filter(Boolean);
+
+                return cancelledRow(disruptedRow({
+                    cells: withAlerts(cells, meta.tripId, rideTimes(c.rides)),
+                    bestRow: false,
+                    vehicles,
+                }, [...c.rides, isShow ? g.trip : null]), c.lost, legs);
+            });
+
+            const bestIdx = g.bestIdx ?? showIdx;
+            meta.anchorBestDate = outbound ? groupDep : g.connections[bestIdx]?.anchorT || null;
+            const leave = g.connections[bestIdx]?.leave;
+            meta.leaveBestDate = leave && leave.t >= start ? leave.t : null;
+            meta.finalArr = g.connections[bestIdx]?.finalArr || null;
+            meta.prob = g.connections[bestIdx]?.prob ?? null;
+            if (g.best) rowsExpanded[bestIdx].bestRow = true;
+        }
+
+        // Every vehicle the group's rows show, once per trip
+        meta.vehicles = [...new Map(rowsExpanded.flatMap((r) => r.vehicles).map((v) => [v.tripId, v])).values()];
+
+        // Collapsed view shows the row carrying the group leg's times (best if any row is)
+        const rowsCollapsed = {
+            ...rowsExpanded[outbound ? 0 : rowsExpanded.length - 1],
+            bestRow: rowsExpanded.some((r) => r.bestRow),
+        };
+
+        return { key: g.key, tripId: meta.tripId, meta, best: g.best, rowsCollapsed, rowsExpanded };
+    });
+
+    return {
+        start,
+        end,
+        itinerary: plan.itinerary,
+        itineraryOk: plan.itineraryOk,
+        anchorLabel: outbound || anchorIdx < 0 ? groupLeg.fromLabel : legs[anchorIdx].fromLabel,
+        anchorVerb: outbound ? "departure" : "arrival",
+        arriveBy: plan.arriveBy,
+        columns,
+        includeHome,
+        // Alerts with the legs they hit and the groups whose times carry their badge
+        alerts: plan.alerts.map((a) => ({
+            ...a,
+            legs: [...new Set(a.hits.map((h) => legs[h.leg].label))],
+            tripIds: [...(alertTrips.get(a.id) || [])],
+        })),
+        alertCounts: plan.alertCounts,
+        alertsCountTotal: plan.alerts.length,
+        disruptions: plan.disruptions.map((d) => ({
+            header: d.header,
+            effect: d.effect,
+            legs: d.legs.map((i) => legs[i].label),
+        })),
+        groups,
+        groupsAvailable: plan.groupsAvailable,
+    };
+}